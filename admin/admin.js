@@ -0,0 +1,381 @@
+const TOKEN_KEY = "mapto.adminToken";
+
+const REASON_LABELS = {
+  spam: "スパム",
+  harassment: "嫌がらせ",
+  personal_info: "個人情報",
+  dangerous: "危険な内容",
+  other: "その他",
+};
+
+const ACTION_LABELS = {
+  restore: "復元",
+  delete: "削除",
+  ban: "BAN",
+  unban: "BAN解除",
+  ng_word_add: "NGワード追加",
+  ng_word_remove: "NGワード削除",
+};
+
+const TARGET_LABELS = {
+  device: "端末",
+  author: "投稿者トークン",
+};
+
+const signInForm = document.getElementById("sign-in-form");
+const tokenInput = document.getElementById("operator-token");
+const signOutButton = document.getElementById("sign-out");
+const consoleEl = document.getElementById("console");
+const queueList = document.getElementById("queue-list");
+const searchForm = document.getElementById("search-form");
+const searchList = document.getElementById("search-list");
+const banList = document.getElementById("ban-list");
+const ngWordForm = document.getElementById("ng-word-form");
+const ngWordInput = document.getElementById("ng-word-input");
+const ngWordList = document.getElementById("ng-word-list");
+const auditList = document.getElementById("audit-list");
+
+let operatorToken = sessionStorage.getItem(TOKEN_KEY) || "";
+
+signInForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  operatorToken = tokenInput.value.trim();
+  sessionStorage.setItem(TOKEN_KEY, operatorToken);
+  tokenInput.value = "";
+  showConsole();
+});
+
+signOutButton.addEventListener("click", signOut);
+document.getElementById("queue-refresh").addEventListener("click", loadQueue);
+document.getElementById("bans-refresh").addEventListener("click", loadBans);
+document.getElementById("audit-refresh").addEventListener("click", loadAudit);
+searchForm.addEventListener("submit", handleSearch);
+ngWordForm.addEventListener("submit", handleAddNgWord);
+
+if (operatorToken) {
+  showConsole();
+}
+
+function showConsole() {
+  signInForm.hidden = true;
+  consoleEl.hidden = false;
+  signOutButton.hidden = false;
+  refreshAll();
+}
+
+function signOut() {
+  operatorToken = "";
+  sessionStorage.removeItem(TOKEN_KEY);
+  signInForm.hidden = false;
+  consoleEl.hidden = true;
+  signOutButton.hidden = true;
+}
+
+function refreshAll() {
+  loadQueue();
+  loadBans();
+  loadNgWords();
+  loadAudit();
+}
+
+/**
+ * Calls an admin endpoint with the operator token. Signs out on 401 and
+ * throws with the server's error message otherwise.
+ */
+async function adminFetch(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...(options.body ? { "Content-Type": "application/json" } : {}),
+      Authorization: `Bearer ${operatorToken}`,
+    },
+  });
+
+  if (response.status === 401) {
+    signOut();
+    throw new Error("運営トークンが正しくありません");
+  }
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${response.status}`);
+  }
+  return response.status === 204 ? null : response.json();
+}
+
+async function loadQueue() {
+  try {
+    const posts = await adminFetch("/api/admin/queue");
+    renderPostList(queueList, posts, "対応待ちの投稿はありません");
+  } catch (error) {
+    console.error(error);
+    renderEmpty(queueList, `読み込みに失敗しました: ${error.message}`);
+  }
+}
+
+async function handleSearch(event) {
+  event.preventDefault();
+
+  const params = new URLSearchParams();
+  const bbox = document.getElementById("search-bbox").value.trim();
+  const from = document.getElementById("search-from").value;
+  const to = document.getElementById("search-to").value;
+  if (bbox) params.set("bbox", bbox);
+  if (from) params.set("from", String(new Date(from).getTime()));
+  if (to) params.set("to", String(new Date(to).getTime()));
+
+  try {
+    const posts = await adminFetch(`/api/admin/posts?${params}`);
+    renderPostList(searchList, posts, "該当する投稿はありません");
+  } catch (error) {
+    console.error(error);
+    renderEmpty(searchList, `検索に失敗しました: ${error.message}`);
+  }
+}
+
+async function loadBans() {
+  try {
+    const bans = await adminFetch("/api/admin/bans");
+    banList.innerHTML = "";
+    if (bans.length === 0) {
+      renderEmpty(banList, "BANはありません");
+      return;
+    }
+    bans.forEach((ban) => {
+      const li = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = [
+        TARGET_LABELS[ban.target] || ban.target,
+        new Date(ban.timestamp).toLocaleString(),
+        ban.reason || "",
+        ban.postId ? `投稿 ${ban.postId}` : "",
+      ]
+        .filter(Boolean)
+        .join(" ・ ");
+      const liftButton = document.createElement("button");
+      liftButton.type = "button";
+      liftButton.className = "secondary";
+      liftButton.textContent = "解除";
+      liftButton.addEventListener("click", () => liftBan(ban.id));
+      li.append(label, liftButton);
+      banList.appendChild(li);
+    });
+  } catch (error) {
+    console.error(error);
+    renderEmpty(banList, `読み込みに失敗しました: ${error.message}`);
+  }
+}
+
+async function loadAudit() {
+  try {
+    const entries = await adminFetch("/api/admin/audit");
+    auditList.innerHTML = "";
+    if (entries.length === 0) {
+      renderEmpty(auditList, "操作ログはありません");
+      return;
+    }
+    entries.forEach((entry) => {
+      const li = document.createElement("li");
+      const pieces = [
+        new Date(entry.timestamp).toLocaleString(),
+        ACTION_LABELS[entry.action] || entry.action,
+      ];
+      if (entry.details.word) {
+        pieces.push(`「${entry.details.word}」`);
+      }
+      if (entry.details.target) {
+        pieces.push(
+          TARGET_LABELS[entry.details.target] || entry.details.target,
+        );
+      }
+      if (entry.postId) {
+        pieces.push(`投稿 ${entry.postId}`);
+      }
+      if (entry.details.post?.text) {
+        pieces.push(`「${entry.details.post.text}」`);
+      }
+      li.textContent = pieces.join(" ・ ");
+      auditList.appendChild(li);
+    });
+  } catch (error) {
+    console.error(error);
+    renderEmpty(auditList, `読み込みに失敗しました: ${error.message}`);
+  }
+}
+
+async function loadNgWords() {
+  try {
+    const words = await adminFetch("/api/admin/ng-words");
+    ngWordList.innerHTML = "";
+    if (words.length === 0) {
+      renderEmpty(ngWordList, "NGワードは登録されていません");
+      return;
+    }
+    words.forEach(({ word }) => {
+      const li = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = word;
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "secondary";
+      removeButton.textContent = "削除";
+      removeButton.addEventListener("click", () => removeNgWord(word));
+      li.append(label, removeButton);
+      ngWordList.appendChild(li);
+    });
+  } catch (error) {
+    console.error(error);
+    renderEmpty(ngWordList, `読み込みに失敗しました: ${error.message}`);
+  }
+}
+
+async function handleAddNgWord(event) {
+  event.preventDefault();
+  const word = ngWordInput.value.trim();
+  if (!word) return;
+  try {
+    await adminFetch("/api/admin/ng-words", {
+      method: "POST",
+      body: JSON.stringify({ word }),
+    });
+    ngWordInput.value = "";
+    loadNgWords();
+    loadAudit();
+  } catch (error) {
+    console.error(error);
+    alert(`NGワードの追加に失敗しました: ${error.message}`);
+  }
+}
+
+async function removeNgWord(word) {
+  if (!confirm(`「${word}」をNGワードから削除しますか？`)) return;
+  try {
+    await adminFetch(`/api/admin/ng-words/${encodeURIComponent(word)}`, {
+      method: "DELETE",
+    });
+    loadNgWords();
+    loadAudit();
+  } catch (error) {
+    console.error(error);
+    alert(`NGワードの削除に失敗しました: ${error.message}`);
+  }
+}
+
+function renderPostList(list, posts, emptyMessage) {
+  list.innerHTML = "";
+  if (posts.length === 0) {
+    renderEmpty(list, emptyMessage);
+    return;
+  }
+  posts.forEach((post) => list.appendChild(buildPostItem(post)));
+}
+
+function renderEmpty(list, message) {
+  list.innerHTML = "";
+  const li = document.createElement("li");
+  li.className = "empty";
+  li.textContent = message;
+  list.appendChild(li);
+}
+
+function buildPostItem(post) {
+  const li = document.createElement("li");
+  li.className = "post-item";
+  li.classList.toggle("hidden-post", post.hiddenAt !== null);
+
+  const meta = document.createElement("div");
+  meta.className = "post-meta";
+  const pieces = [
+    `${post.mood} ${new Date(post.timestamp).toLocaleString()}`,
+    `(${post.lat.toFixed(4)}, ${post.lng.toFixed(4)})`,
+    `♥ ${post.likes}`,
+  ];
+  if (post.hiddenAt !== null) {
+    pieces.push(`非表示 ${new Date(post.hiddenAt).toLocaleString()}`);
+  }
+  if (post.reportCount > 0) {
+    const reasons = Object.entries(post.reportReasons)
+      .map(([reason, count]) => `${REASON_LABELS[reason] || reason} ${count}`)
+      .join("、");
+    pieces.push(`通報 ${post.reportCount} 件 (${reasons})`);
+  }
+  meta.textContent = pieces.join(" ・ ");
+
+  const text = document.createElement("p");
+  text.textContent = post.text;
+
+  const actions = document.createElement("div");
+  actions.className = "post-actions";
+  if (post.hiddenAt !== null || post.reportCount > 0) {
+    actions.appendChild(
+      buildActionButton("復元", "", () => restorePost(post.id)),
+    );
+  }
+  actions.append(
+    buildActionButton("削除", "danger", () => deletePost(post.id)),
+    buildActionButton("端末をBAN", "secondary", () =>
+      banAuthor(post.id, "device"),
+    ),
+    buildActionButton("投稿者トークンをBAN", "secondary", () =>
+      banAuthor(post.id, "author"),
+    ),
+  );
+
+  li.append(meta, text, actions);
+  return li;
+}
+
+function buildActionButton(label, className, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+async function restorePost(id) {
+  try {
+    await adminFetch(`/api/admin/posts/${id}/restore`, { method: "POST" });
+    refreshAll();
+  } catch (error) {
+    console.error(error);
+    alert(`復元に失敗しました: ${error.message}`);
+  }
+}
+
+async function deletePost(id) {
+  if (!confirm("この投稿を削除しますか？元に戻せません。")) return;
+  try {
+    await adminFetch(`/api/admin/posts/${id}`, { method: "DELETE" });
+    refreshAll();
+  } catch (error) {
+    console.error(error);
+    alert(`削除に失敗しました: ${error.message}`);
+  }
+}
+
+async function banAuthor(postId, target) {
+  const reason = prompt(`${TARGET_LABELS[target]}をBANする理由 (任意)`);
+  if (reason === null) return;
+  try {
+    await adminFetch("/api/admin/bans", {
+      method: "POST",
+      body: JSON.stringify({ postId, target, reason }),
+    });
+    refreshAll();
+  } catch (error) {
+    console.error(error);
+    alert(`BANに失敗しました: ${error.message}`);
+  }
+}
+
+async function liftBan(id) {
+  if (!confirm("このBANを解除しますか？")) return;
+  try {
+    await adminFetch(`/api/admin/bans/${id}`, { method: "DELETE" });
+    refreshAll();
+  } catch (error) {
+    console.error(error);
+    alert(`BAN解除に失敗しました: ${error.message}`);
+  }
+}
@@ -0,0 +1,27 @@
+const { Pool } = require("pg");
+
+/**
+ * The PostgreSQL connection string from the environment, or undefined when
+ * none of the supported variables is set.
+ */
+function resolveConnectionString() {
+  return (
+    process.env.DATABASE_URL ||
+    process.env.DATABASE_INTERNAL_URL ||
+    process.env.DATABASE_EXTERNAL_URL ||
+    process.env.POSTGRES_URL ||
+    process.env.DB_URL
+  );
+}
+
+function createPool(connectionString) {
+  return new Pool({
+    connectionString,
+    ssl:
+      process.env.NODE_ENV === "production"
+        ? { rejectUnauthorized: false }
+        : false,
+  });
+}
+
+module.exports = { resolveConnectionString, createPool };
@@ -0,0 +1,53 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const VARIANT_FILES = { full: "full.jpg", thumbnail: "thumbnail.jpg" };
+
+/**
+ * Image storage in a local directory, one subdirectory per post. Only
+ * suitable for a single instance, since other instances cannot see the
+ * files.
+ * @returns {import("./index").ImageStorage}
+ */
+function createDiskImageStorage(directory) {
+  // Ids come from the routes as UUIDs, but never let one escape the directory.
+  function postDirectory(id) {
+    if (!/^[\w-]+$/.test(id)) {
+      throw new Error(`Invalid image id "${id}"`);
+    }
+    return path.join(directory, id);
+  }
+
+  return {
+    async save(id, image) {
+      const target = postDirectory(id);
+      await fs.mkdir(target, { recursive: true });
+      await Promise.all(
+        Object.entries(VARIANT_FILES).map(([variant, file]) =>
+          fs.writeFile(path.join(target, file), image[variant]),
+        ),
+      );
+    },
+
+    async read(id, variant) {
+      try {
+        return await fs.readFile(
+          path.join(postDirectory(id), VARIANT_FILES[variant]),
+        );
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async remove(ids) {
+      await Promise.all(
+        ids.map((id) =>
+          fs.rm(postDirectory(id), { recursive: true, force: true }),
+        ),
+      );
+    },
+  };
+}
+
+module.exports = { createDiskImageStorage };
@@ -0,0 +1,75 @@
+const path = require("path");
+const sharp = require("sharp");
+
+const MAX_IMAGE_EDGE = 1600;
+const THUMBNAIL_EDGE = 320;
+// Refuse images that would decode to more than this, whatever their file size.
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Where post images are kept. Each post has at most one image, stored under
+ * the post id in two variants.
+ *
+ * @typedef {Object} ImageStorage
+ * @property {(id: string, image: ProcessedImage) => Promise<void>} save
+ * @property {(id: string, variant: "full" | "thumbnail") => Promise<Buffer | null>} read
+ *   null when there is no such image
+ * @property {(ids: string[]) => Promise<void>} remove ignores missing images
+ */
+
+/**
+ * @typedef {Object} ProcessedImage
+ * @property {Buffer} full JPEG at most MAX_IMAGE_EDGE pixels on a side
+ * @property {Buffer} thumbnail JPEG at most THUMBNAIL_EDGE pixels on a side
+ */
+
+/**
+ * Picks the image storage from IMAGE_STORAGE. Only "disk" exists so far; it
+ * writes under IMAGE_DIR, or uploads/ next to the server.
+ * @returns {ImageStorage}
+ */
+function createImageStorage() {
+  const kind = process.env.IMAGE_STORAGE || "disk";
+
+  if (kind === "disk") {
+    const { createDiskImageStorage } = require("./disk");
+    return createDiskImageStorage(
+      process.env.IMAGE_DIR || path.join(__dirname, "..", "uploads"),
+    );
+  }
+  throw new Error(`Unknown IMAGE_STORAGE "${kind}"; use "disk"`);
+}
+
+/**
+ * Re-encodes an uploaded image as a resized JPEG and a thumbnail. Output
+ * carries no metadata, so EXIF data and GPS coordinates never leave the
+ * server; the EXIF orientation is applied to the pixels first. Rejects when
+ * the input is not an image sharp can decode.
+ * @returns {Promise<ProcessedImage>}
+ */
+async function processImage(input) {
+  const image = sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  const [full, thumbnail] = await Promise.all([
+    image
+      .clone()
+      .resize(MAX_IMAGE_EDGE, MAX_IMAGE_EDGE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toBuffer(),
+    image
+      .clone()
+      .resize(THUMBNAIL_EDGE, THUMBNAIL_EDGE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: 75, mozjpeg: true })
+      .toBuffer(),
+  ]);
+
+  return { full, thumbnail };
+}
+
+module.exports = { createImageStorage, processImage };
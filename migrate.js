@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+const { createHash } = require("crypto");
+const { createPool, resolveConnectionString } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+// Arbitrary, but must stay the same so every instance contends for one lock.
+const MIGRATION_LOCK_ID = 7200150;
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version
+ * @property {string} name
+ * @property {string} sql
+ * @property {string} checksum sha256 of the file contents
+ */
+
+/**
+ * Reads the migration files in version order. Files are named
+ * `<version>_<name>.sql`, for example `0003_likes.sql`.
+ * @returns {Migration[]}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) return null;
+      const sql = fs.readFileSync(path.join(dir, file), "utf8");
+      return {
+        version: Number(match[1]),
+        name: match[2],
+        sql,
+        checksum: createHash("sha256").update(sql).digest("hex"),
+      };
+    })
+    .filter((migration) => migration !== null)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Compares the migration files with what `schema_migrations` says was
+ * applied. `unknown` lists versions the database has but this code does
+ * not, meaning the schema is ahead; `changed` lists applied migrations whose
+ * file has been edited since.
+ */
+async function migrationStatus(client, migrations) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at BIGINT NOT NULL
+    )
+  `);
+  const { rows } = await client.query(
+    "SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version",
+  );
+
+  const applied = new Map(rows.map((row) => [Number(row.version), row]));
+  const known = new Set(migrations.map((migration) => migration.version));
+
+  return {
+    applied: rows.map((row) => ({
+      version: Number(row.version),
+      name: row.name,
+      appliedAt: Number(row.applied_at),
+    })),
+    pending: migrations.filter((migration) => !applied.has(migration.version)),
+    changed: migrations.filter(
+      (migration) =>
+        applied.has(migration.version) &&
+        applied.get(migration.version).checksum !== migration.checksum,
+    ),
+    unknown: rows
+      .filter((row) => !known.has(Number(row.version)))
+      .map((row) => ({ version: Number(row.version), name: row.name })),
+  };
+}
+
+/**
+ * Applies pending migrations in order, each in its own transaction, while
+ * holding an advisory lock so concurrent instances do not race. Throws
+ * without applying anything if the database is ahead of this code or an
+ * applied migration was edited. With `dryRun`, only reports what would run.
+ * Resolves to the migrations that were (or would be) applied.
+ */
+async function runMigrations(pool, { dryRun = false, log = console.log } = {}) {
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    const status = await migrationStatus(client, migrations);
+
+    if (status.unknown.length) {
+      const versions = status.unknown.map((entry) => entry.version).join(", ");
+      throw new Error(
+        `Database schema is ahead of this code (unknown migrations: ${versions}); deploy a newer version`,
+      );
+    }
+    if (status.changed.length) {
+      const files = status.changed.map(migrationLabel).join(", ");
+      throw new Error(
+        `Applied migrations were modified after running: ${files}; add a new migration instead`,
+      );
+    }
+
+    for (const migration of status.pending) {
+      if (dryRun) {
+        log(`Would apply ${migrationLabel(migration)}`);
+        continue;
+      }
+      log(`Applying ${migrationLabel(migration)}`);
+      try {
+        await client.query("BEGIN");
+        await client.query(migration.sql);
+        await client.query(
+          `
+            INSERT INTO schema_migrations (version, name, checksum, applied_at)
+            VALUES ($1, $2, $3, $4)
+          `,
+          [migration.version, migration.name, migration.checksum, Date.now()],
+        );
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw new Error(
+          `Migration ${migrationLabel(migration)} failed: ${error.message}`,
+        );
+      }
+    }
+    return status.pending;
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(4, "0")}_${migration.name}`;
+}
+
+async function printStatus(pool) {
+  const client = await pool.connect();
+  try {
+    const status = await migrationStatus(client, loadMigrations());
+    status.applied.forEach((entry) => {
+      const changed = status.changed.some(
+        (migration) => migration.version === entry.version,
+      );
+      const unknown = status.unknown.some(
+        (migration) => migration.version === entry.version,
+      );
+      let note = "";
+      if (unknown) note = " (not in this code)";
+      else if (changed) note = " (modified)";
+      console.log(
+        `applied  ${migrationLabel(entry)}  ${new Date(entry.appliedAt).toISOString()}${note}`,
+      );
+    });
+    status.pending.forEach((migration) => {
+      console.log(`pending  ${migrationLabel(migration)}`);
+    });
+    if (!status.applied.length && !status.pending.length) {
+      console.log("No migrations found");
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * `npm run migrate` applies pending migrations. Pass `status` to list
+ * applied and pending ones, or `--dry-run` to see what would be applied.
+ */
+async function main(args) {
+  const connectionString = resolveConnectionString();
+  if (!connectionString) {
+    throw new Error(
+      "DATABASE_URL (or DATABASE_INTERNAL_URL / DATABASE_EXTERNAL_URL) must be set to connect to PostgreSQL",
+    );
+  }
+
+  const pool = createPool(connectionString);
+  try {
+    if (args.includes("status")) {
+      await printStatus(pool);
+      return;
+    }
+    const dryRun = args.includes("--dry-run");
+    const applied = await runMigrations(pool, { dryRun });
+    if (!applied.length) {
+      console.log("Schema is up to date");
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadMigrations, migrationStatus, runMigrations };
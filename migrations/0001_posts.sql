@@ -0,0 +1,15 @@
+-- Migrations up to 0009 use IF NOT EXISTS so that databases created by the
+-- old startup bootstrap adopt them without changes. New migrations do not
+-- need to.
+CREATE TABLE IF NOT EXISTS posts (
+  id UUID PRIMARY KEY,
+  lat DOUBLE PRECISION NOT NULL,
+  lng DOUBLE PRECISION NOT NULL,
+  text TEXT NOT NULL,
+  mood TEXT,
+  timestamp BIGINT NOT NULL,
+  likes INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS posts_timestamp_idx ON posts (timestamp);
+CREATE INDEX IF NOT EXISTS posts_lat_lng_idx ON posts (lat, lng);
@@ -0,0 +1,9 @@
+-- Replies cascade with their post, so purging a post expires them too.
+CREATE TABLE IF NOT EXISTS replies (
+  id UUID PRIMARY KEY,
+  post_id UUID NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+  text TEXT NOT NULL,
+  timestamp BIGINT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS replies_post_id_idx ON replies (post_id, timestamp);
@@ -0,0 +1,7 @@
+-- One row per device per post; posts.likes stays the denormalized count.
+CREATE TABLE IF NOT EXISTS likes (
+  post_id UUID NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+  device_id UUID NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY (post_id, device_id)
+);
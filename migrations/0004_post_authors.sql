@@ -0,0 +1,3 @@
+ALTER TABLE posts
+  ADD COLUMN IF NOT EXISTS author_token_hash TEXT,
+  ADD COLUMN IF NOT EXISTS edited_at BIGINT;
@@ -0,0 +1,9 @@
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS hidden_at BIGINT;
+
+CREATE TABLE IF NOT EXISTS reports (
+  post_id UUID NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+  device_id UUID NOT NULL,
+  reason TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  PRIMARY KEY (post_id, device_id)
+);
@@ -0,0 +1,21 @@
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS device_id UUID;
+
+-- `value` is a device id, or an author token hash for "author" bans.
+CREATE TABLE IF NOT EXISTS bans (
+  id BIGSERIAL PRIMARY KEY,
+  target TEXT NOT NULL,
+  value TEXT NOT NULL,
+  post_id UUID,
+  reason TEXT,
+  timestamp BIGINT NOT NULL,
+  UNIQUE (target, value)
+);
+
+-- No foreign key: entries must outlive the posts they refer to.
+CREATE TABLE IF NOT EXISTS moderation_log (
+  id BIGSERIAL PRIMARY KEY,
+  action TEXT NOT NULL,
+  post_id UUID,
+  details JSONB NOT NULL DEFAULT '{}',
+  timestamp BIGINT NOT NULL
+);
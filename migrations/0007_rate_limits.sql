@@ -0,0 +1,7 @@
+-- Shared by all server instances so limits hold behind a load balancer.
+CREATE TABLE IF NOT EXISTS rate_limits (
+  bucket TEXT PRIMARY KEY,
+  window_start BIGINT NOT NULL,
+  expires_at BIGINT NOT NULL,
+  hits INTEGER NOT NULL
+);
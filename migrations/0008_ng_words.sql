@@ -0,0 +1,5 @@
+CREATE TABLE IF NOT EXISTS ng_words (
+  word TEXT PRIMARY KEY,
+  normalized TEXT NOT NULL,
+  timestamp BIGINT NOT NULL
+);
@@ -0,0 +1,7 @@
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS expires_at BIGINT;
+
+-- Posts from before lifetimes were selectable had the fixed 24 hours.
+UPDATE posts SET expires_at = timestamp + 86400000 WHERE expires_at IS NULL;
+ALTER TABLE posts ALTER COLUMN expires_at SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS posts_expires_at_idx ON posts (expires_at);
@@ -0,0 +1,3 @@
+-- Image files live in image storage under the post id; this only records
+-- that one is there.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS has_image BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,9 @@
+-- Hashtags extracted from post text, in the order they appear.
+CREATE TABLE post_tags (
+  post_id UUID NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+  tag TEXT NOT NULL,
+  position SMALLINT NOT NULL,
+  PRIMARY KEY (post_id, tag)
+);
+
+CREATE INDEX post_tags_tag_idx ON post_tags (tag);
@@ -0,0 +1,11 @@
+-- Character bigrams of post text for search. Japanese has no spaces between
+-- words, so text is indexed by overlapping pairs of characters instead of
+-- by words. The server computes the bigrams; posts from before this
+-- migration are not searchable and simply age out.
+CREATE TABLE post_ngrams (
+  post_id UUID NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+  gram TEXT NOT NULL,
+  PRIMARY KEY (post_id, gram)
+);
+
+CREATE INDEX post_ngrams_gram_idx ON post_ngrams (gram);
@@ -0,0 +1,7 @@
+-- A key the client sends with a new post, so a retried request finds the
+-- post it already created instead of creating another.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS posts_device_idempotency_key_idx
+  ON posts (device_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
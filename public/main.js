@@ -11,6 +11,54 @@ const NOTIFICATION_MESSAGES = [
   "お気に入りのスポットをMapToに投稿しませんか？",
 ];
 const REMINDER_LOOKAHEAD_DAYS = 3;
+const POSTS_PAGE_SIZE = 50;
+const POST_TTL_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_PHOTO_BYTES = 8 * 1024 * 1024;
+const AUTHOR_TOKENS_KEY = "mapto.authorTokens";
+const CONTENT_REJECTION_MESSAGES = {
+  ng_word: "使用できない言葉が含まれています。表現を変えてみてください。",
+  repeated_characters: "同じ文字の繰り返しが多すぎます。",
+  url: "URLは投稿できません。",
+  phone: "電話番号は投稿できません。",
+};
+// Below this zoom level markers are drawn as server-side clusters.
+const CLUSTER_ZOOM_THRESHOLD = 14;
+const MOOD_LAYER_KEY = "mapto.moodLayer";
+// Keyed by the mood picker's values.
+const MOOD_COLORS = {
+  "☺️": "#ffd166",
+  "😀": "#ffb703",
+  "🥺": "#c77dff",
+  "😔": "#5e7ce2",
+  "😡": "#ef476f",
+  "☀️": "#ff9f1c",
+  "☁️": "#adb5bd",
+  "☂️": "#4cc9f0",
+  "☕": "#b07d62",
+  "🍜": "#f4a261",
+  "💻️": "#06d6a0",
+  "🚍️": "#2a9d8f",
+  "🚗": "#e76f51",
+  "🚃": "#8ecae6",
+};
+const DEFAULT_MOOD_COLOR = "#9aa0b4";
+const MOOD_LEGEND_ROWS = 5;
+const MOOD_TREND_HOURS = 24;
+const PLAYBACK_RANGE_MS = DAY_MS;
+const PLAYBACK_STEP_MS = 15 * MINUTE_MS;
+const PLAYBACK_TICK_MS = 700;
+const SORT_KEY = "mapto.timelineSort";
+// Matches the server's TRENDING_RANKING, for posts that arrive live.
+const TRENDING_RANKING = { gravity: 1.5, ageOffsetHours: 2 };
+const PERMALINK_PATTERN = /^\/p\/([0-9a-f-]{36})\/?$/i;
+const MAX_MAP_ZOOM = 19;
+// A tag as the server accepts one: letters and digits in any script.
+const TAG_VALUE_PATTERN = /^[\p{L}\p{M}\p{N}_]+$/u;
+const MAX_TAG_LENGTH = 30;
 const map = L.map("map", {
   center: [35.6812, 139.7671],
   zoom: 12,
@@ -23,7 +71,7 @@ const map = L.map("map", {
 });
 
 L.tileLayer("https://tile.openstreetmap.org/{z}/{x}/{y}.png", {
-  maxZoom: 19,
+  maxZoom: MAX_MAP_ZOOM,
   attribution:
     '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
 }).addTo(map);
@@ -35,11 +83,27 @@ map.whenReady(() => {
 });
 
 const markersLayer = L.layerGroup().addTo(map);
+const clustersLayer = L.layerGroup().addTo(map);
+const moodLayer = L.layerGroup();
+const moodLegend = L.control({ position: "bottomleft" });
+moodLegend.onAdd = () => {
+  const container = L.DomUtil.create("div", "mood-legend");
+  L.DomEvent.disableClickPropagation(container);
+  return container;
+};
 const postForm = document.getElementById("post-form");
 const postText = document.getElementById("post-text");
+const postLifetime = document.getElementById("post-lifetime");
+const postPhoto = document.getElementById("post-photo");
+const photoPreview = document.getElementById("post-photo-preview");
+const removePhotoButton = document.getElementById("remove-photo-btn");
 const selectedLocationEl = document.getElementById("selected-location");
 const radiusSelect = document.getElementById("radius");
+const sortSelect = document.getElementById("sort");
+const distanceSortOption = sortSelect.querySelector('option[value="distance"]');
+const viewportModeToggle = document.getElementById("viewport-mode");
 const timelineEl = document.getElementById("timeline");
+const pendingPostsEl = document.getElementById("pending-posts");
 const useCurrentLocationBtn = document.getElementById("use-current-location");
 const enableNotificationsBtn = document.getElementById("enable-notifications");
 const moodPicker = document.getElementById("mood-picker");
@@ -50,6 +114,26 @@ const mapCenterButton = document.getElementById("map-center-btn");
 const showComposerButton = document.getElementById("show-composer-btn");
 const closeComposerButton = document.getElementById("close-composer-btn");
 const showTimelineButtons = document.querySelectorAll(".show-timeline-btn");
+const reportDialog = document.getElementById("report-dialog");
+const noticeEl = document.getElementById("notice");
+const composerErrorEl = document.getElementById("composer-error");
+const tagFilterEl = document.getElementById("tag-filter");
+const tagFilterLabel = document.getElementById("tag-filter-label");
+const clearTagButton = document.getElementById("clear-tag-btn");
+const trendingTagsEl = document.getElementById("trending-tags");
+const searchForm = document.getElementById("search-form");
+const searchInput = document.getElementById("search-input");
+const searchInViewToggle = document.getElementById("search-in-view");
+const searchResultsEl = document.getElementById("search-results");
+const moodLayerButton = document.getElementById("mood-layer-btn");
+const playbackButton = document.getElementById("playback-btn");
+const playbackBar = document.getElementById("playback-bar");
+const playbackToggleButton = document.getElementById("playback-toggle-btn");
+const playbackSlider = document.getElementById("playback-slider");
+const playbackLabel = document.getElementById("playback-label");
+const playbackExitButton = document.getElementById("playback-exit-btn");
+const postGoneCard = document.getElementById("post-gone");
+const postGoneCloseButton = document.getElementById("post-gone-close-btn");
 const defaultPlaceholder =
   postText?.getAttribute("placeholder") ||
   "メッセージやおすすめを残してみよう（なくてもOK）";
@@ -57,6 +141,33 @@ const defaultPlaceholder =
 let selectedLatLng = null;
 let selectionMarker = null;
 let isFetching = false;
+let fetchQueued = false;
+let isLoadingMore = false;
+let nextCursor = null;
+let currentAreaQuery = null;
+let currentCenter = null;
+let currentRankedAt = null;
+let loadMoreObserver = null;
+let eventSource = null;
+let streamKey = null;
+let streamConnected = false;
+let clusterRefreshTimer = null;
+let noticeTimer = null;
+let activeTag = null;
+let pendingFocusPost = null;
+let moodLayerEnabled = false;
+// { start, end } of the replayed period while playback is on, else null.
+let playbackRange = null;
+let playbackTimer = null;
+// Until the reader does something, view changes such as centering on their
+// location replace the history entry the page was loaded with.
+let replaceUrlState = true;
+// Client clock minus server clock, learned from the API's ageMs.
+let serverClockOffset = 0;
+// Posts currently shown, keyed by id so refreshes can be diffed in place.
+const postsById = new Map();
+const timelineItemsById = new Map();
+const markersById = new Map();
 let notificationsEnabled = false;
 let notificationTimers = [];
 let selectedMood = null;
@@ -70,15 +181,41 @@ initialize();
 function initialize() {
   registerServiceWorker();
   setupCollapsibleControls();
+  restoreSortPreference();
+  const urlState = readUrlState();
+  applyUrlState(urlState);
   fetchPosts();
-  requestCurrentLocation({ centerMap: true, setSelection: true, silent: true });
+  connectStream();
+  const permalinkId = location.pathname.match(PERMALINK_PATTERN)?.[1];
+  // A shared post or view decides where the map starts, not the reader's
+  // location.
+  requestCurrentLocation({
+    centerMap: !permalinkId && !urlState.center,
+    setSelection: true,
+    silent: true,
+  });
+  if (permalinkId) {
+    openPermalinkPost(permalinkId);
+  }
 
   map.on("click", handleMapClick);
-  map.on("moveend", debounce(fetchPosts, 500));
-
-  radiusSelect.addEventListener("change", fetchPosts);
+  map.on("moveend", debounce(handleAreaChange, 500));
+
+  radiusSelect.addEventListener("change", handleAreaChange);
+  sortSelect.addEventListener("change", handleSortChange);
+  if (viewportModeToggle) {
+    viewportModeToggle.addEventListener("change", () => {
+      radiusSelect.disabled = viewportModeToggle.checked;
+      distanceSortOption.disabled = viewportModeToggle.checked;
+      handleAreaChange();
+    });
+  }
 
   postForm.addEventListener("submit", handleSubmit);
+  postPhoto.addEventListener("change", handlePhotoChange);
+  clearTagButton.addEventListener("click", () => setActiveTag(null));
+  trendingTagsEl.addEventListener("click", handleTagClick);
+  removePhotoButton.addEventListener("click", clearSelectedPhoto);
 
   if (useCurrentLocationBtn) {
     useCurrentLocationBtn.addEventListener("click", () => {
@@ -123,6 +260,39 @@ function initialize() {
     menuClose.addEventListener("click", () => toggleMenu(false));
   }
   document.addEventListener("click", handleGlobalClickForMenu);
+  searchForm.addEventListener("submit", handleSearchSubmit);
+  moodLayerButton.addEventListener("click", () =>
+    setMoodLayerEnabled(!moodLayerEnabled)
+  );
+  restoreMoodLayerPreference();
+  playbackSlider.max = String(PLAYBACK_RANGE_MS / PLAYBACK_STEP_MS);
+  playbackButton.addEventListener("click", () =>
+    setPlaybackEnabled(!playbackRange)
+  );
+  playbackToggleButton.addEventListener("click", togglePlayback);
+  playbackSlider.addEventListener("input", () => {
+    pausePlayback();
+    updatePlaybackLabel();
+  });
+  playbackSlider.addEventListener("change", fetchPosts);
+  playbackExitButton.addEventListener("click", () => setPlaybackEnabled(false));
+  ["pointerdown", "keydown", "wheel"].forEach((type) =>
+    document.addEventListener(
+      type,
+      () => {
+        replaceUrlState = false;
+      },
+      { capture: true, once: true }
+    )
+  );
+  window.addEventListener("popstate", () => {
+    applyUrlState(readUrlState());
+    handleAreaChange();
+  });
+  postGoneCloseButton.addEventListener("click", () => {
+    postGoneCard.hidden = true;
+    history.replaceState(null, "", "/");
+  });
   document.addEventListener("keydown", (event) => {
     if (event.key === "Escape" && menuIsOpen) {
       toggleMenu(false);
@@ -190,7 +360,22 @@ function initialize() {
     });
   }
 
-  setInterval(fetchPosts, 30000);
+  // Polling only stands in while the live stream is unavailable.
+  setInterval(() => {
+    if (!streamConnected) {
+      fetchPosts();
+    }
+  }, 30000);
+
+  setInterval(refreshPostTimes, 30000);
+}
+
+function handleAreaChange() {
+  fetchPosts();
+  connectStream();
+  if (moodLayerEnabled) {
+    fetchMoodStats();
+  }
 }
 
 function handleMapClick(event) {
@@ -410,6 +595,13 @@ function syncCollapsibleHeight(key) {
 
 async function registerServiceWorker() {
   if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.addEventListener(
+    "message",
+    handleServiceWorkerMessage
+  );
+  window.addEventListener("online", () =>
+    sendMessageToServiceWorker({ type: "flushOutbox" })
+  );
   try {
     const registration = await navigator.serviceWorker.register(
       "/service-worker.js"
@@ -417,11 +609,89 @@ async function registerServiceWorker() {
     const ready = await navigator.serviceWorker.ready;
     swRegistration = ready || registration;
     supportsTriggerScheduling = supportsNotificationTriggerCapability();
+    // Also reports what is still waiting from an earlier visit.
+    sendMessageToServiceWorker({ type: "flushOutbox" });
   } catch (error) {
     console.error("Service worker registration failed", error);
   }
 }
 
+function handleServiceWorkerMessage(event) {
+  const { type, entries, url } = event.data || {};
+  if (type === "outbox") {
+    handleOutboxUpdate(entries);
+  } else if (type === "postsRevalidated" && currentAreaQuery) {
+    // The timeline was drawn from a cached copy that has since changed.
+    if (url === new URL(firstPageUrl(currentAreaQuery), location.href).href) {
+      fetchPosts();
+    }
+  }
+}
+
+/**
+ * Keeps author tokens of queued posts that have now been sent, reports the
+ * ones the server refused, and lists those still waiting.
+ */
+function handleOutboxUpdate(entries = []) {
+  const settled = entries.filter((entry) => entry.status !== "pending");
+  settled.forEach((entry) => {
+    if (entry.status === "sent") {
+      saveAuthorToken(entry.post);
+      if (entry.photoFailed) {
+        showNotice("投稿しましたが、写真を添付できませんでした。");
+      }
+    } else {
+      const message =
+        contentRejectionMessage(entry.response) ||
+        entry.response?.error ||
+        "投稿に失敗しました";
+      showNotice(`送信待ちの投稿を送れませんでした：${message}`);
+    }
+  });
+  if (settled.length) {
+    sendMessageToServiceWorker({
+      type: "ackOutbox",
+      ids: settled.map((entry) => entry.id),
+    });
+    if (settled.some((entry) => entry.status === "sent")) {
+      fetchPosts();
+    }
+  }
+
+  renderPendingPosts(entries.filter((entry) => entry.status === "pending"));
+}
+
+function renderPendingPosts(entries) {
+  pendingPostsEl.hidden = !entries.length;
+  pendingPostsEl.innerHTML = entries
+    .map(({ body, hasPhoto }) => {
+      const summary = escapeHtml(
+        [body.mood, body.text].filter(Boolean).join(" ")
+      );
+      return `<li class="pending-post">
+          <span class="pending-post__text">${summary}${hasPhoto ? " 📷" : ""}</span>
+          <small>⏳ 送信待ち ・ 接続が戻ると自動で投稿されます</small>
+        </li>`;
+    })
+    .join("");
+  syncCollapsibleHeight("timeline");
+}
+
+/**
+ * Hands a post that could not reach the server to the service worker's
+ * outbox. Resolves to false when there is no service worker to take it.
+ */
+async function queueOutboxPost(post, photo, idempotencyKey) {
+  if (!navigator.serviceWorker?.controller) return false;
+  await sendMessageToServiceWorker({
+    type: "queuePost",
+    post,
+    photo,
+    idempotencyKey,
+  });
+  return true;
+}
+
 function requestCurrentLocation({
   centerMap = false,
   setSelection = false,
@@ -791,31 +1061,73 @@ async function handleSubmit(event) {
     return;
   }
 
+  const photo = postPhoto?.files[0] || null;
+  if (photo && photo.size > MAX_PHOTO_BYTES) {
+    showComposerError("写真は8MBまでです。");
+    return;
+  }
+
+  // Sent again with the outbox copy, so the server can tell a retry from a
+  // new post if this request did reach it.
+  const idempotencyKey = createIdempotencyKey();
+
   postText.placeholder = defaultPlaceholder;
+  showComposerError(null);
   setFormDisabled(true);
 
+  const post = {
+    lat: selectedLatLng.lat,
+    lng: selectedLatLng.lng,
+    text,
+    mood: selectedMood,
+    lifetime: postLifetime?.value || "24h",
+  };
+
   try {
-    const response = await fetch("/api/posts", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        lat: selectedLatLng.lat,
-        lng: selectedLatLng.lng,
-        text,
-        mood: selectedMood,
-      }),
-    });
+    let response;
+    try {
+      response = await fetch("/api/posts", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": idempotencyKey,
+        },
+        body: JSON.stringify(post),
+      });
+    } catch (error) {
+      // fetch rejects when no response arrived, whether or not the request
+      // reached the server.
+      if (!(await queueOutboxPost(post, photo, idempotencyKey))) throw error;
+      clearComposer();
+      showNotice(
+        "オフラインのため送信待ちにしました。接続が戻ると自動で投稿されます。"
+      );
+      return;
+    }
 
+    if (response.status === 429) {
+      showNotice(
+        `投稿が続いています。${formatCooldown(response)}後にもう一度お試しください。`
+      );
+      return;
+    }
     if (!response.ok) {
       const payload = await safeJson(response);
+      const rejection = contentRejectionMessage(payload);
+      if (rejection) {
+        showComposerError(rejection);
+        postText.focus();
+        return;
+      }
       throw new Error(payload?.error || "投稿に失敗しました");
     }
 
-    postText.value = "";
-    postText.placeholder = defaultPlaceholder;
-    setSelectedMood(null);
-    syncCollapsibleHeight("composer");
     const created = await response.json();
+    saveAuthorToken(created);
+    if (photo) {
+      await uploadPostPhoto(created.id, photo);
+    }
+    clearComposer();
     highlightNewPost(created.id);
     fetchPosts();
   } catch (error) {
@@ -826,188 +1138,1614 @@ async function handleSubmit(event) {
   }
 }
 
+/**
+ * A random UUID. crypto.randomUUID only exists in secure contexts, so plain
+ * HTTP falls back to building one from getRandomValues.
+ */
+function createIdempotencyKey() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0"));
+  return [
+    hex.slice(0, 4),
+    hex.slice(4, 6),
+    hex.slice(6, 8),
+    hex.slice(8, 10),
+    hex.slice(10),
+  ]
+    .map((group) => group.join(""))
+    .join("-");
+}
+
+/**
+ * Attaches a photo to a post just created. The post itself is already
+ * published, so a failure here is reported without undoing it.
+ */
+async function uploadPostPhoto(postId, photo) {
+  try {
+    const response = await fetch(`/api/posts/${postId}/image`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": photo.type,
+        "X-Author-Token": getAuthorToken(postId),
+      },
+      body: photo,
+    });
+    if (!response.ok) {
+      const payload = await safeJson(response);
+      throw new Error(payload?.error || "Failed to attach image");
+    }
+  } catch (error) {
+    console.error(error);
+    showNotice("投稿しましたが、写真を添付できませんでした。");
+  }
+}
+
+function clearComposer() {
+  postText.value = "";
+  postText.placeholder = defaultPlaceholder;
+  setSelectedMood(null);
+  clearSelectedPhoto();
+}
+
+function handlePhotoChange() {
+  const photo = postPhoto.files[0];
+  const previewImage = photoPreview.querySelector("img");
+  if (previewImage.src) {
+    URL.revokeObjectURL(previewImage.src);
+    previewImage.removeAttribute("src");
+  }
+  if (photo) {
+    previewImage.src = URL.createObjectURL(photo);
+  }
+  photoPreview.hidden = !photo;
+  showComposerError(null);
+  syncCollapsibleHeight("composer");
+}
+
+function clearSelectedPhoto() {
+  if (!postPhoto) return;
+  postPhoto.value = "";
+  handlePhotoChange();
+}
+
 async function fetchPosts() {
-  if (isFetching) return;
+  // The latest map move or playback step wins over one already in flight.
+  if (isFetching) {
+    fetchQueued = true;
+    return;
+  }
   isFetching = true;
+  syncUrlState();
 
   const center = map.getCenter();
-  const radius = Number(radiusSelect.value) || 5000;
+  const viewportMode = Boolean(viewportModeToggle?.checked);
+  const areaQuery = `${buildAreaQuery(center)}&sort=${currentSort()}`;
 
   try {
-    const response = await fetch(
-      `/api/posts?lat=${center.lat}&lng=${center.lng}&radius=${radius}`
-    );
+    const response = await fetch(firstPageUrl(areaQuery));
     if (!response.ok) {
+      if (viewportMode && response.status === 400) {
+        nextCursor = null;
+        renderTimelineMessage(
+          "表示範囲が広すぎます。地図を拡大してください。"
+        );
+        return;
+      }
       throw new Error("投稿の取得に失敗しました");
     }
     const posts = await response.json();
-    renderPosts(posts, center);
+    // A copy cached by the service worker has times as of when it was saved.
+    syncServerClock(
+      posts,
+      Number(response.headers.get("X-Cached-At")) || Date.now()
+    );
+    const responseCursor = response.headers.get("X-Next-Cursor");
+    // Pages loaded through "load more" survive a refresh of the same area.
+    const keepOlder = areaQuery === currentAreaQuery && Boolean(responseCursor);
+    currentAreaQuery = areaQuery;
+    currentCenter = center;
+    if (!keepOlder) {
+      currentRankedAt = serverNow();
+    }
+    const keptOlder = renderPosts(posts, center, { keepOlder });
+    if (!keptOlder) {
+      nextCursor = responseCursor;
+    }
+    updateLoadMoreControl();
+    openPendingPost();
+    fetchTrendingTags(center);
   } catch (error) {
     console.error(error);
   } finally {
+    // Even when the posts could not be loaded, so that clusters from the
+    // previous view do not stay on the map.
+    await refreshClusters();
     isFetching = false;
+    if (fetchQueued) {
+      fetchQueued = false;
+      fetchPosts();
+    }
   }
 }
 
-function renderPosts(posts, centerLatLng) {
-  markersLayer.clearLayers();
-  timelineEl.innerHTML = "";
+function firstPageUrl(areaQuery) {
+  return `/api/posts?${areaQuery}&limit=${POSTS_PAGE_SIZE}`;
+}
+
+async function fetchTrendingTags(center) {
+  try {
+    const response = await fetch(
+      `/api/tags/trending?${buildAreaQuery(center, { withFilters: false })}`
+    );
+    if (!response.ok) {
+      throw new Error("話題のタグの取得に失敗しました");
+    }
+    renderTrendingTags(await response.json());
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+async function handleSearchSubmit(event) {
+  event.preventDefault();
+  const query = searchInput.value.trim();
+  if (!query) return;
+
+  let url = `/api/posts/search?q=${encodeURIComponent(query)}`;
+  if (searchInViewToggle.checked) {
+    url += `&bbox=${viewportBbox().join(",")}`;
+  }
+
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      const payload = await safeJson(response);
+      if (response.status === 400) {
+        renderSearchMessage(
+          searchInViewToggle.checked && payload?.error?.startsWith("bbox")
+            ? "表示範囲が広すぎます。地図を拡大してください。"
+            : "2文字以上の言葉で検索してください。"
+        );
+        return;
+      }
+      throw new Error(payload?.error || "検索に失敗しました");
+    }
+    const posts = await response.json();
+    syncServerClock(posts);
+    renderSearchResults(posts);
+  } catch (error) {
+    console.error(error);
+    renderSearchMessage("検索に失敗しました。");
+  }
+}
 
+function renderSearchResults(posts) {
   if (!posts.length) {
-    const empty = document.createElement("div");
-    empty.className = "empty-state";
-    empty.textContent = "近くの投稿はまだありません。最初の投稿をしてみましょう！";
-    timelineEl.appendChild(empty);
-    syncCollapsibleHeight("timeline");
+    renderSearchMessage("見つかりませんでした。");
     return;
   }
-
+  searchResultsEl.innerHTML = "";
   posts.forEach((post) => {
-    addMarker(post);
-    timelineEl.appendChild(buildTimelineItem(post, centerLatLng));
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "search-result";
+    const summary = document.createElement("span");
+    summary.className = "search-result__text";
+    summary.textContent = [post.mood, post.text || "気分だけの投稿"]
+      .filter(Boolean)
+      .join(" ");
+    const time = document.createElement("small");
+    time.innerHTML = buildPostTimeHtml(post);
+    button.append(summary, time);
+    button.addEventListener("click", () => {
+      toggleMenu(false);
+      focusPost(post);
+    });
+    item.appendChild(button);
+    searchResultsEl.appendChild(item);
   });
-  syncCollapsibleHeight("timeline");
 }
 
-function addMarker(post) {
-  const markerContent = buildMarkerContent(post);
-  const marker = L.marker([post.lat, post.lng], {
-    icon: L.divIcon({
-      className: ["post-marker", markerContent.extraClass]
-        .filter(Boolean)
-        .join(" "),
-      html: markerContent.html,
-      iconSize: null,
-    }),
-  });
-  const created = new Date(post.timestamp);
-
-  const bodyContent = post.text
-    ? `<p>${escapeHtml(post.text)}</p>`
-    : `<p class="popup-muted">気分だけの投稿</p>`;
-  const moodContent = post.mood
-    ? `<p class="popup-mood">${post.mood}</p>`
-    : "";
+function renderSearchMessage(message) {
+  searchResultsEl.innerHTML = "";
+  const item = document.createElement("li");
+  item.className = "search-results__message";
+  item.textContent = message;
+  searchResultsEl.appendChild(item);
+}
 
-  marker.bindPopup(
-    `<div class="popup">
-        ${moodContent}
-        ${bodyContent}
-        <small>${created.toLocaleString()}</small><br />
-        <small>いいね ${post.likes}</small>
-      </div>`
+/**
+ * Centers the map on a post, zoomed in far enough to show markers, and opens
+ * its popup once the posts around it have loaded.
+ */
+function focusPost(post) {
+  // The map move below loads the posts again.
+  if (!matchesTag(post)) {
+    setActiveTag(null, { refresh: false });
+  }
+  if (!matchesPlaybackWindow(post)) {
+    setPlaybackEnabled(false, { refresh: false });
+  }
+  pendingFocusPost = post;
+  map.setView(
+    [post.lat, post.lng],
+    Math.max(map.getZoom(), CLUSTER_ZOOM_THRESHOLD)
   );
-
-  markersLayer.addLayer(marker);
+  if (markersById.has(post.id)) {
+    openPendingPost();
+  }
 }
 
-function buildMarkerContent(post) {
-  const MAX_LENGTH = 60;
-  const baseText = (post.text || "").trim();
-  const truncated =
-    baseText.length > MAX_LENGTH
-      ? `${baseText.slice(0, MAX_LENGTH)}…`
-      : baseText;
-  const escapedText = escapeHtml(truncated);
-  const hasText = Boolean(truncated);
-  const hasMoodOnly = post.mood && !hasText;
-
-  if (hasMoodOnly) {
-    return {
-      extraClass: "post-marker--emoji",
-      html: `<div class="post-marker__emoji-only">${escapeHtml(
-        post.mood
-      )}</div>`,
-    };
+/**
+ * Centers the map on the post of a /p/:id link and opens it, or explains
+ * that it has disappeared.
+ */
+async function openPermalinkPost(postId) {
+  try {
+    const response = await fetch(`/api/posts/${postId}`);
+    if (response.status === 404) {
+      postGoneCard.hidden = false;
+      return;
+    }
+    if (!response.ok) {
+      throw new Error("投稿の取得に失敗しました");
+    }
+    const post = await response.json();
+    syncServerClock([post]);
+    focusPost(post);
+  } catch (error) {
+    console.error(error);
+    showNotice("投稿を読み込めませんでした。");
   }
+}
 
-  let displayText = "新しい投稿";
-  if (post.mood && hasText) {
-    displayText = `${post.mood} ${escapedText}`;
-  } else if (post.mood) {
-    displayText = post.mood;
-  } else if (hasText) {
-    displayText = escapedText;
+function openPendingPost() {
+  if (!pendingFocusPost || isClusterMode()) return;
+  const post = pendingFocusPost;
+  pendingFocusPost = null;
+  // A post older than the first page of its area is added on its own.
+  if (!markersById.has(post.id)) {
+    upsertPost(post, currentCenter);
+    sortTimeline();
   }
-  return {
-    extraClass: "",
-    html: `
-      <div class="post-marker__bubble">
-        <div class="post-marker__text">${displayText}</div>
-        <div class="post-marker__meta">❤️ ${post.likes}</div>
-      </div>
-    `.trim(),
-  };
+  markersById.get(post.id).marker.openPopup();
 }
 
-function buildTimelineItem(post, centerLatLng) {
-  const li = document.createElement("li");
-  li.className = "timeline-item";
-  li.dataset.id = post.id;
-
-  if (post.mood) {
-    const moodBadge = document.createElement("span");
-    moodBadge.className = "mood-tag";
-    moodBadge.textContent = post.mood;
-    li.appendChild(moodBadge);
+function setMoodLayerEnabled(enabled) {
+  moodLayerEnabled = enabled;
+  moodLayerButton.setAttribute("aria-pressed", enabled ? "true" : "false");
+  moodLayerButton.setAttribute(
+    "aria-label",
+    enabled ? "気分マップを隠す" : "気分マップを表示"
+  );
+  try {
+    if (enabled) {
+      localStorage.setItem(MOOD_LAYER_KEY, "true");
+    } else {
+      localStorage.removeItem(MOOD_LAYER_KEY);
+    }
+  } catch (error) {
+    console.error("Failed to persist mood layer preference", error);
   }
 
-  const textPara = document.createElement("p");
-  textPara.className = "body";
-  if (post.text) {
-    textPara.textContent = post.text;
-  } else if (post.mood) {
-    textPara.classList.add("body-muted");
-    textPara.textContent = "気分だけの投稿";
+  if (enabled) {
+    moodLayer.addTo(map);
+    moodLegend.addTo(map);
+    fetchMoodStats();
   } else {
-    textPara.textContent = "";
+    moodLayer.clearLayers();
+    moodLayer.remove();
+    moodLegend.remove();
   }
-  li.appendChild(textPara);
-
-  const meta = document.createElement("div");
-  meta.className = "meta";
-
-  const created = new Date(post.timestamp);
-  const distance = centerLatLng
-    ? formatDistance(
-        distanceInMeters(
-          centerLatLng.lat,
-          centerLatLng.lng,
-          post.lat,
-          post.lng
-        )
-      )
-    : "";
+}
 
-  const pieces = [`${created.toLocaleString()}`];
-  if (distance) {
-    pieces.push(`約${distance}`);
+function restoreMoodLayerPreference() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(MOOD_LAYER_KEY);
+  } catch (error) {
+    console.error(error);
+  }
+  if (stored === "true") {
+    setMoodLayerEnabled(true);
   }
-  meta.innerHTML = `<span>${pieces.join(" ・ ")}</span><span>❤️ ${post.likes}</span>`;
-  li.appendChild(meta);
-
-  const likeButton = document.createElement("button");
-  likeButton.className = "like-button";
-  likeButton.type = "button";
-  likeButton.textContent = `いいね ${post.likes}`;
-  likeButton.addEventListener("click", () => handleLike(post.id, likeButton));
-  li.appendChild(likeButton);
-
-  return li;
 }
 
-async function handleLike(postId, button) {
-  button.disabled = true;
+async function fetchMoodStats() {
+  const query = [
+    `bbox=${viewportBbox().join(",")}`,
+    `zoom=${map.getZoom()}`,
+    "bucket=hour",
+    `tzOffset=${new Date().getTimezoneOffset()}`,
+  ].join("&");
   try {
-    const response = await fetch(`/api/posts/${postId}/like`, {
-      method: "POST",
-    });
+    const response = await fetch(`/api/stats/moods?${query}`);
     if (!response.ok) {
-      throw new Error("いいねに失敗しました");
+      throw new Error("気分の集計の取得に失敗しました");
+    }
+    const stats = await response.json();
+    // The layer may have been switched off while the request was in flight.
+    if (!moodLayerEnabled) return;
+    renderMoodLayer(stats);
+    renderMoodLegend(stats);
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+/**
+ * Tints each grid cell with its dominant mood, more strongly the more posts
+ * it has relative to the busiest cell in view.
+ */
+function renderMoodLayer(stats) {
+  moodLayer.clearLayers();
+  const busiest = Math.max(1, ...stats.cells.map((cell) => cell.total));
+  stats.cells.forEach((cell) => {
+    const color = MOOD_COLORS[cell.dominant] || DEFAULT_MOOD_COLOR;
+    L.rectangle(
+      [
+        [cell.bounds.minLat, cell.bounds.minLng],
+        [cell.bounds.maxLat, cell.bounds.maxLng],
+      ],
+      {
+        stroke: false,
+        fillColor: color,
+        fillOpacity: 0.15 + 0.35 * (cell.total / busiest),
+        interactive: false,
+      }
+    ).addTo(moodLayer);
+  });
+}
+
+/**
+ * The mood breakdown for the viewport and a strip of the last
+ * MOOD_TREND_HOURS hours, each hour colored by its dominant mood.
+ */
+function renderMoodLegend(stats) {
+  const container = moodLegend.getContainer();
+  if (!container) return;
+
+  if (!stats.total) {
+    container.innerHTML = `<strong>この範囲の気分</strong>
+      <p class="mood-legend__empty">気分つきの投稿はまだありません</p>`;
+    return;
+  }
+
+  const rows = Object.entries(stats.counts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MOOD_LEGEND_ROWS)
+    .map(([mood, count]) => {
+      const percent = Math.round((count / stats.total) * 100);
+      const color = MOOD_COLORS[mood] || DEFAULT_MOOD_COLOR;
+      return `<li>
+        <span class="mood-legend__mood">${escapeHtml(mood)}</span>
+        <span class="mood-legend__bar"><span style="width: ${percent}%; background: ${color}"></span></span>
+        <span class="mood-legend__percent">${percent}%</span>
+      </li>`;
+    })
+    .join("");
+
+  const bucketsByStart = new Map(
+    stats.buckets.map((bucket) => [bucket.start, bucket])
+  );
+  const currentHour = new Date(serverNow());
+  currentHour.setMinutes(0, 0, 0);
+  const latest = currentHour.getTime();
+  const busiest = Math.max(...stats.buckets.map((bucket) => bucket.total));
+  const trend = Array.from({ length: MOOD_TREND_HOURS }, (_, index) => {
+    const bucket = bucketsByStart.get(
+      latest - (MOOD_TREND_HOURS - 1 - index) * HOUR_MS
+    );
+    if (!bucket) return `<span></span>`;
+    const color = MOOD_COLORS[bucket.dominant] || DEFAULT_MOOD_COLOR;
+    const height = Math.max(15, Math.round((bucket.total / busiest) * 100));
+    return `<span style="height: ${height}%; background: ${color}" title="${new Date(
+      bucket.start
+    ).getHours()}時 ${escapeHtml(bucket.dominant)} ${bucket.total}件"></span>`;
+  }).join("");
+
+  container.innerHTML = `<strong>この範囲の気分（${stats.total}件）</strong>
+    <ul class="mood-legend__rows">${rows}</ul>
+    <div class="mood-legend__trend" aria-label="${MOOD_TREND_HOURS}時間の推移">${trend}</div>`;
+}
+
+/**
+ * Switches between live posts and playback, which shows the posts of the
+ * last day created up to the time picked on the slider.
+ */
+function setPlaybackEnabled(enabled, { refresh = true } = {}) {
+  if (enabled === Boolean(playbackRange)) return;
+  pausePlayback();
+  if (enabled) {
+    const end = serverNow();
+    playbackRange = { start: end - PLAYBACK_RANGE_MS, end };
+    playbackSlider.value = playbackSlider.max;
+  } else {
+    playbackRange = null;
+  }
+  playbackBar.hidden = !enabled;
+  playbackButton.setAttribute("aria-pressed", enabled ? "true" : "false");
+  playbackButton.setAttribute(
+    "aria-label",
+    enabled ? "投稿の再生を終了" : "投稿の再生を開始"
+  );
+  updatePlaybackLabel();
+  if (refresh) {
+    map.closePopup();
+    fetchPosts();
+  }
+}
+
+function togglePlayback() {
+  if (playbackTimer) {
+    pausePlayback();
+    return;
+  }
+  // Playing from the end starts over from the beginning of the range.
+  if (Number(playbackSlider.value) >= Number(playbackSlider.max)) {
+    playbackSlider.value = "0";
+    updatePlaybackLabel();
+    fetchPosts();
+  }
+  playbackTimer = setInterval(stepPlayback, PLAYBACK_TICK_MS);
+  updatePlaybackToggle();
+}
+
+function stepPlayback() {
+  const step = Number(playbackSlider.value) + 1;
+  playbackSlider.value = String(step);
+  if (step >= Number(playbackSlider.max)) {
+    pausePlayback();
+  }
+  updatePlaybackLabel();
+  fetchPosts();
+}
+
+function pausePlayback() {
+  clearInterval(playbackTimer);
+  playbackTimer = null;
+  updatePlaybackToggle();
+}
+
+function updatePlaybackToggle() {
+  playbackToggleButton.textContent = playbackTimer ? "❚❚" : "▶";
+  playbackToggleButton.setAttribute(
+    "aria-label",
+    playbackTimer ? "一時停止" : "再生"
+  );
+}
+
+function updatePlaybackLabel() {
+  playbackLabel.textContent = playbackRange
+    ? `${formatPlaybackTime(playbackRange.start)} 〜 ${formatPlaybackTime(
+        playbackWindowEnd()
+      )}`
+    : "";
+}
+
+function formatPlaybackTime(timestamp) {
+  return new Date(timestamp).toLocaleString([], {
+    month: "numeric",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function playbackWindowEnd() {
+  return playbackRange.start + Number(playbackSlider.value) * PLAYBACK_STEP_MS;
+}
+
+function matchesPlaybackWindow(post) {
+  return (
+    !playbackRange ||
+    (post.timestamp >= playbackRange.start &&
+      post.timestamp <= playbackWindowEnd())
+  );
+}
+
+/**
+ * The map center and zoom, radius, whole-viewport mode and tag given in the
+ * query string, each left out when missing or invalid.
+ */
+function readUrlState() {
+  const params = new URLSearchParams(location.search);
+  const state = {};
+  const lat = parseFloat(params.get("lat"));
+  const lng = parseFloat(params.get("lng"));
+  const zoom = parseInt(params.get("z"), 10);
+  if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
+    state.center = [lat, lng];
+  }
+  if (zoom >= 0 && zoom <= MAX_MAP_ZOOM) {
+    state.zoom = zoom;
+  }
+  const radius = params.get("r");
+  const radii = Array.from(radiusSelect.options, (option) => option.value);
+  if (radii.includes(radius)) {
+    state.radius = radius;
+  }
+  state.viewportMode = params.get("view") === "all";
+  state.tag = parseTagParam(params.get("tag"));
+  return state;
+}
+
+/**
+ * A tag from the URL normalized as the server does, or null when there is
+ * none or it is not a single hashtag.
+ */
+function parseTagParam(value) {
+  if (!value) return null;
+  const tag = value
+    .replace(/^[#＃]/, "")
+    .normalize("NFKC")
+    .toLowerCase();
+  return TAG_VALUE_PATTERN.test(tag) && tag.length <= MAX_TAG_LENGTH
+    ? tag
+    : null;
+}
+
+function applyUrlState(state) {
+  if (state.radius) {
+    radiusSelect.value = state.radius;
+  }
+  if (viewportModeToggle) {
+    viewportModeToggle.checked = state.viewportMode;
+    radiusSelect.disabled = state.viewportMode;
+    distanceSortOption.disabled = state.viewportMode;
+  }
+  setActiveTag(state.tag, { refresh: false });
+  if (state.center || state.zoom !== undefined) {
+    map.setView(state.center ?? map.getCenter(), state.zoom ?? map.getZoom(), {
+      animate: false,
+    });
+  }
+}
+
+/**
+ * Records the current view in the query string, as a new history entry
+ * when it changed so back and forward step through earlier views.
+ */
+function syncUrlState() {
+  const center = map.getCenter();
+  const params = new URLSearchParams({
+    lat: center.lat.toFixed(5),
+    lng: center.lng.toFixed(5),
+    z: String(map.getZoom()),
+    r: radiusSelect.value,
+  });
+  if (viewportModeToggle?.checked) {
+    params.set("view", "all");
+  }
+  if (activeTag) {
+    params.set("tag", activeTag);
+  }
+  const search = `?${params}`;
+  if (search === location.search) return;
+
+  const url = `${location.pathname}${search}`;
+  if (replaceUrlState) {
+    history.replaceState(null, "", url);
+  } else {
+    history.pushState(null, "", url);
+  }
+}
+
+function handleSortChange() {
+  try {
+    localStorage.setItem(SORT_KEY, sortSelect.value);
+  } catch (error) {
+    console.error("Failed to persist sort preference", error);
+  }
+  fetchPosts();
+}
+
+function restoreSortPreference() {
+  let stored = null;
+  try {
+    stored = localStorage.getItem(SORT_KEY);
+  } catch (error) {
+    console.error(error);
+  }
+  if (stored && sortSelect.querySelector(`option[value="${stored}"]`)) {
+    sortSelect.value = stored;
+  }
+}
+
+/**
+ * The selected sort order, falling back to newest for distance when the
+ * whole viewport is shown and there is no point to measure from.
+ */
+function currentSort() {
+  const sort = sortSelect.value;
+  return sort === "distance" && viewportModeToggle?.checked ? "newest" : sort;
+}
+
+function renderTrendingTags(tags) {
+  trendingTagsEl.innerHTML = tags
+    .map(({ tag, count }) => buildTagChipHtml(tag, count))
+    .join("");
+  syncCollapsibleHeight("timeline");
+}
+
+/**
+ * Narrows the markers, clusters and timeline to posts with `tag`, or shows
+ * everything again when `tag` is null.
+ */
+function setActiveTag(tag, { refresh = true } = {}) {
+  if (tag === activeTag) return;
+  activeTag = tag;
+  tagFilterEl.hidden = !tag;
+  tagFilterLabel.textContent = tag ? `#${tag} の投稿` : "";
+  if (refresh) {
+    map.closePopup();
+    fetchPosts();
+  }
+}
+
+function handleTagClick(event) {
+  const chip = event.target.closest(".tag-chip");
+  if (!chip) return;
+  event.stopPropagation();
+  setActiveTag(chip.dataset.tag === activeTag ? null : chip.dataset.tag);
+}
+
+async function loadMorePosts() {
+  if (!nextCursor || isLoadingMore || isFetching) return;
+  isLoadingMore = true;
+  updateLoadMoreControl();
+
+  try {
+    const response = await fetch(
+      `/api/posts?${currentAreaQuery}&limit=${POSTS_PAGE_SIZE}&cursor=${encodeURIComponent(
+        nextCursor
+      )}`
+    );
+    if (!response.ok) {
+      throw new Error("投稿の取得に失敗しました");
+    }
+    const posts = await response.json();
+    syncServerClock(posts);
+    nextCursor = response.headers.get("X-Next-Cursor");
+    appendPosts(posts, currentCenter);
+  } catch (error) {
+    console.error(error);
+  } finally {
+    isLoadingMore = false;
+    updateLoadMoreControl();
+  }
+}
+
+async function fetchClusters() {
+  const zoom = map.getZoom();
+  const response = await fetch(
+    `/api/posts/clusters?bbox=${viewportBbox().join(",")}&zoom=${zoom}${buildFilterQuery()}`
+  );
+  if (!response.ok) {
+    throw new Error("クラスタの取得に失敗しました");
+  }
+  const clusters = await response.json();
+  // The map may have zoomed in while the request was in flight.
+  if (!isClusterMode()) return;
+  clearPostMarkers();
+  renderClusters(clusters);
+}
+
+async function refreshClusters() {
+  try {
+    if (isClusterMode()) {
+      await fetchClusters();
+    } else {
+      clustersLayer.clearLayers();
+    }
+  } catch (error) {
+    console.error(error);
+  }
+}
+
+function isClusterMode() {
+  return map.getZoom() < CLUSTER_ZOOM_THRESHOLD;
+}
+
+function viewportBbox() {
+  return clampBbox(map.getBounds());
+}
+
+function clampBbox(bounds) {
+  return [
+    Math.max(-180, bounds.getWest()),
+    Math.max(-90, bounds.getSouth()),
+    Math.min(180, bounds.getEast()),
+    Math.min(90, bounds.getNorth()),
+  ];
+}
+
+function buildAreaQuery(center, { withFilters = true } = {}) {
+  let query;
+  if (viewportModeToggle?.checked) {
+    query = `bbox=${viewportBbox().join(",")}`;
+  } else {
+    const radius = Number(radiusSelect.value) || 5000;
+    query = `lat=${center.lat}&lng=${center.lng}&radius=${radius}`;
+  }
+  if (withFilters) {
+    query += buildFilterQuery();
+  }
+  return query;
+}
+
+/**
+ * The active tag and playback window as query parameters, each with a
+ * leading "&".
+ */
+function buildFilterQuery() {
+  let query = "";
+  if (activeTag) {
+    query += `&tag=${encodeURIComponent(activeTag)}`;
+  }
+  if (playbackRange) {
+    query += `&from=${playbackRange.start}&to=${playbackWindowEnd()}`;
+  }
+  return query;
+}
+
+/**
+ * Reconciles the timeline and markers with a fresh first page of posts,
+ * touching only what changed. Returns how many older posts were kept.
+ */
+function renderPosts(posts, centerLatLng, { keepOlder = false } = {}) {
+  const incomingIds = new Set(posts.map((post) => post.id));
+  const oldest = posts[posts.length - 1];
+  let keptOlder = 0;
+
+  Array.from(postsById.values()).forEach((post) => {
+    if (incomingIds.has(post.id)) return;
+    if (keepOlder && oldest && comparePosts(post, oldest) > 0) {
+      keptOlder += 1;
+      return;
+    }
+    removePost(post.id);
+  });
+
+  if (!posts.length && !postsById.size) {
+    renderTimelineMessage(emptyTimelineMessage());
+    return keptOlder;
+  }
+
+  timelineEl.querySelector(".empty-state")?.remove();
+  preserveTimelineScroll(() => {
+    posts.forEach((post) => upsertPost(post, centerLatLng));
+    sortTimeline();
+  });
+  syncCollapsibleHeight("timeline");
+  return keptOlder;
+}
+
+function appendPosts(posts, centerLatLng) {
+  posts.forEach((post) => upsertPost(post, centerLatLng));
+  sortTimeline();
+  updateLoadMoreControl();
+  syncCollapsibleHeight("timeline");
+}
+
+function upsertPost(post, centerLatLng) {
+  postsById.set(post.id, post);
+
+  const item = buildTimelineItem(post, centerLatLng);
+  const existing = timelineItemsById.get(post.id);
+  if (!existing) {
+    timelineItemsById.set(post.id, item);
+  } else {
+    // Swap only the content and keep the element and its reply thread, so
+    // classes such as `highlight`, typed replies and scroll are left alone.
+    const current = existing.querySelector(".timeline-item__content");
+    const next = item.querySelector(".timeline-item__content");
+    if (current.innerHTML !== next.innerHTML) {
+      current.replaceWith(next);
+      syncReplyToggle(existing);
+    }
+  }
+
+  if (!isClusterMode()) {
+    upsertMarker(post);
+  }
+}
+
+function removePost(postId) {
+  postsById.delete(postId);
+  timelineItemsById.get(postId)?.remove();
+  timelineItemsById.delete(postId);
+  const entry = markersById.get(postId);
+  if (entry) {
+    markersLayer.removeLayer(entry.marker);
+    markersById.delete(postId);
+  }
+}
+
+function clearPosts() {
+  clearPostMarkers();
+  postsById.clear();
+  timelineItemsById.clear();
+  timelineEl.innerHTML = "";
+}
+
+function clearPostMarkers() {
+  markersLayer.clearLayers();
+  markersById.clear();
+}
+
+/**
+ * Moves timeline items into newest-first order, leaving items that are
+ * already in place untouched.
+ */
+function sortTimeline() {
+  const ordered = Array.from(postsById.values()).sort(comparePosts);
+  ordered.forEach((post, index) => {
+    const item = timelineItemsById.get(post.id);
+    const current = timelineEl.children[index];
+    if (item && current !== item) {
+      timelineEl.insertBefore(item, current || null);
+    }
+  });
+}
+
+/**
+ * Timeline order for the current sort, the same as the server's: most likes,
+ * nearest or highest trending score first, then newest first.
+ */
+function comparePosts(a, b) {
+  const sort = currentSort();
+  if (sort !== "newest") {
+    const difference = sortValue(b, sort) - sortValue(a, sort);
+    if (difference !== 0) {
+      return sort === "distance" ? -difference : difference;
+    }
+  }
+  if (a.timestamp !== b.timestamp) {
+    return b.timestamp - a.timestamp;
+  }
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+}
+
+function sortValue(post, sort) {
+  if (sort === "likes") return post.likes;
+  if (sort === "distance") {
+    return (
+      post.distance ??
+      distanceInMeters(currentCenter.lat, currentCenter.lng, post.lat, post.lng)
+    );
+  }
+  // Scored as of the first page, as the server does for later pages.
+  if (post.score !== undefined) return post.score;
+  const ageHours = Math.max(currentRankedAt - post.timestamp, 0) / HOUR_MS;
+  return (
+    (post.likes + 1) /
+    (ageHours + TRENDING_RANKING.ageOffsetHours) ** TRENDING_RANKING.gravity
+  );
+}
+
+/**
+ * Runs `update` and then scrolls so the first visible timeline item stays
+ * where it was, unless the list was already at its start.
+ */
+function preserveTimelineScroll(update) {
+  if (timelineEl.scrollLeft <= 0) {
+    update();
+    return;
+  }
+  const listLeft = timelineEl.getBoundingClientRect().left;
+  const anchor = Array.from(
+    timelineEl.querySelectorAll(".timeline-item")
+  ).find((li) => li.getBoundingClientRect().right > listLeft);
+  const before = anchor?.getBoundingClientRect().left;
+  update();
+  if (anchor?.isConnected) {
+    timelineEl.scrollLeft += anchor.getBoundingClientRect().left - before;
+  }
+}
+
+function updateLoadMoreControl() {
+  let item = timelineEl.querySelector(".load-more-item");
+  if (!nextCursor) {
+    item?.remove();
+    return;
+  }
+
+  if (!item) {
+    item = document.createElement("li");
+    item.className = "load-more-item";
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "secondary-button load-more-button";
+    button.addEventListener("click", loadMorePosts);
+    item.appendChild(button);
+    observeLoadMore(item);
+  }
+  // Keep the control after any items that were just appended.
+  timelineEl.appendChild(item);
+
+  const button = item.querySelector("button");
+  button.disabled = isLoadingMore;
+  button.textContent = isLoadingMore ? "読み込み中…" : "さらに読み込む";
+}
+
+function observeLoadMore(item) {
+  if (!("IntersectionObserver" in window)) return;
+  if (!loadMoreObserver) {
+    loadMoreObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          loadMorePosts();
+        }
+      },
+      { root: timelineEl, rootMargin: "0px 200px 0px 0px" }
+    );
+  }
+  loadMoreObserver.disconnect();
+  loadMoreObserver.observe(item);
+}
+
+function emptyTimelineMessage() {
+  if (playbackRange) {
+    return activeTag
+      ? `この時間帯に #${activeTag} の投稿はありません。`
+      : "この時間帯の投稿はありません。";
+  }
+  return activeTag
+    ? `近くに #${activeTag} の投稿はありません。`
+    : "近くの投稿はまだありません。最初の投稿をしてみましょう！";
+}
+
+function renderTimelineMessage(message) {
+  clearPosts();
+  const empty = document.createElement("div");
+  empty.className = "empty-state";
+  empty.textContent = message;
+  timelineEl.appendChild(empty);
+  syncCollapsibleHeight("timeline");
+}
+
+function connectStream() {
+  if (!("EventSource" in window)) return;
+  const key = streamBbox()
+    .map((value) => value.toFixed(4))
+    .join(",");
+  if (eventSource && key === streamKey) return;
+
+  eventSource?.close();
+  streamKey = key;
+  streamConnected = false;
+  const source = new EventSource(`/api/stream?bbox=${key}`);
+  eventSource = source;
+  let hasOpened = false;
+
+  source.addEventListener("open", () => {
+    // After a dropped connection, catch up on whatever was missed.
+    if (hasOpened) {
+      fetchPosts();
+    }
+    hasOpened = true;
+    streamConnected = true;
+  });
+  source.addEventListener("error", () => {
+    streamConnected = false;
+  });
+  source.addEventListener("created", (event) =>
+    handleStreamEvent(event, applyCreatedPost)
+  );
+  source.addEventListener("liked", (event) =>
+    handleStreamEvent(event, applyLikedPost)
+  );
+  source.addEventListener("expired", (event) =>
+    handleStreamEvent(event, applyExpiredPosts)
+  );
+  source.addEventListener("replied", (event) =>
+    handleStreamEvent(event, applyRepliedPost)
+  );
+  source.addEventListener("updated", (event) =>
+    handleStreamEvent(event, applyUpdatedPost)
+  );
+  source.addEventListener("deleted", (event) =>
+    handleStreamEvent(event, applyExpiredPosts)
+  );
+  source.addEventListener("hidden", (event) =>
+    handleStreamEvent(event, applyExpiredPosts)
+  );
+}
+
+function streamBbox() {
+  const bounds = map.getBounds();
+  if (!viewportModeToggle?.checked) {
+    const radius = Number(radiusSelect.value) || 5000;
+    bounds.extend(map.getCenter().toBounds(radius * 2));
+  }
+  return clampBbox(bounds.pad(0.1));
+}
+
+function handleStreamEvent(event, apply) {
+  try {
+    apply(JSON.parse(event.data));
+  } catch (error) {
+    console.error("Failed to apply stream event", error);
+  }
+}
+
+function applyCreatedPost(post) {
+  if (
+    postsById.has(post.id) ||
+    !isInCurrentArea(post) ||
+    !matchesTag(post) ||
+    !matchesPlaybackWindow(post) ||
+    sortsAfterLoadedPages(post)
+  ) {
+    return;
+  }
+  timelineEl.querySelector(".empty-state")?.remove();
+  preserveTimelineScroll(() => {
+    upsertPost(post, currentCenter);
+    sortTimeline();
+  });
+  if (isClusterMode()) {
+    refreshClustersSoon();
+  }
+  syncCollapsibleHeight("timeline");
+}
+
+/**
+ * Whether `post` belongs on a page that has not been loaded yet, as a new
+ * post with no likes does when sorted by likes.
+ */
+function sortsAfterLoadedPages(post) {
+  if (!nextCursor) return false;
+  const last = Array.from(postsById.values()).sort(comparePosts).at(-1);
+  return Boolean(last) && comparePosts(post, last) > 0;
+}
+
+function applyLikedPost({ id, likes }) {
+  const post = postsById.get(id);
+  if (!post) return;
+  upsertPost({ ...post, likes }, currentCenter);
+}
+
+function applyUpdatedPost(post) {
+  const existing = postsById.get(post.id);
+  if (!existing) return;
+  // An edit can remove the tag being filtered on.
+  if (!matchesTag(post)) {
+    applyExpiredPosts({ ids: [post.id] });
+    return;
+  }
+  // likedByMe in the event reflects the editor's device, not this one.
+  upsertPost(
+    { ...existing, ...post, likedByMe: existing.likedByMe },
+    currentCenter
+  );
+}
+
+function applyRepliedPost({ id, replyCount }) {
+  const post = postsById.get(id);
+  if (!post || post.replyCount === replyCount) return;
+  upsertPost({ ...post, replyCount }, currentCenter);
+  reloadOpenReplyThreads(id);
+}
+
+function applyExpiredPosts({ ids }) {
+  ids.forEach((id) => removePost(id));
+  if (isClusterMode()) {
+    refreshClustersSoon();
+  }
+  if (!postsById.size && !nextCursor) {
+    renderTimelineMessage(emptyTimelineMessage());
+  }
+}
+
+function refreshClustersSoon() {
+  clearTimeout(clusterRefreshTimer);
+  clusterRefreshTimer = setTimeout(() => {
+    if (!isClusterMode()) return;
+    fetchClusters().catch((error) => console.error(error));
+  }, 5000);
+}
+
+function isInCurrentArea(post) {
+  if (!currentCenter) return false;
+  if (viewportModeToggle?.checked) {
+    return map.getBounds().contains([post.lat, post.lng]);
+  }
+  const radius = Number(radiusSelect.value) || 5000;
+  return (
+    distanceInMeters(
+      currentCenter.lat,
+      currentCenter.lng,
+      post.lat,
+      post.lng
+    ) <= radius
+  );
+}
+
+function matchesTag(post) {
+  return !activeTag || Boolean(post.tags?.includes(activeTag));
+}
+
+function upsertMarker(post) {
+  const icon = buildMarkerIcon(post);
+  const popupHtml = buildPopupHtml(post);
+  const signature = `${post.lat},${post.lng}|${icon.options.html}|${popupHtml}`;
+  const existing = markersById.get(post.id);
+
+  if (existing) {
+    if (existing.signature === signature) return;
+    // Update in place so an open popup and its reply thread stay open.
+    existing.marker.setLatLng([post.lat, post.lng]);
+    existing.marker.setIcon(icon);
+    const content = existing.popupEl.querySelector(".popup");
+    content.insertAdjacentHTML("beforebegin", popupHtml);
+    content.remove();
+    syncReplyToggle(existing.popupEl);
+    existing.marker.getPopup()?.update();
+    existing.signature = signature;
+    return;
+  }
+
+  const popupEl = document.createElement("div");
+  popupEl.className = "popup-container";
+  popupEl.innerHTML = popupHtml;
+  popupEl.appendChild(buildReplyThread(post.id));
+  popupEl.addEventListener("click", handleReplyToggleClick);
+  popupEl.addEventListener("click", handleReportClick);
+  popupEl.addEventListener("click", handleShareClick);
+  popupEl.addEventListener("click", handleTagClick);
+
+  const marker = L.marker([post.lat, post.lng], { icon });
+  marker.bindPopup(popupEl);
+  markersLayer.addLayer(marker);
+  if (playbackTimer) {
+    marker.getElement()?.classList.add("post-marker--appearing");
+  }
+  markersById.set(post.id, { marker, signature, popupEl });
+}
+
+function buildMarkerIcon(post) {
+  const markerContent = buildMarkerContent(post);
+  return L.divIcon({
+    className: ["post-marker", markerContent.extraClass]
+      .filter(Boolean)
+      .join(" "),
+    html: markerContent.html,
+    iconSize: null,
+  });
+}
+
+function buildPopupHtml(post) {
+  const bodyContent = post.text
+    ? `<p>${escapeHtml(post.text)}</p>`
+    : `<p class="popup-muted">気分だけの投稿</p>`;
+  const moodContent = post.mood
+    ? `<p class="popup-mood">${post.mood}</p>`
+    : "";
+  const photoContent = post.hasImage ? buildPhotoHtml(post, "popup-photo") : "";
+  const tagContent = post.tags?.length
+    ? `<div class="tag-list">${post.tags.map((tag) => buildTagChipHtml(tag)).join("")}</div>`
+    : "";
+
+  return `<div class="popup">
+        ${moodContent}
+        ${bodyContent}
+        ${tagContent}
+        ${photoContent}
+        <small>${buildPostTimeHtml(post)}</small><br />
+        <small>いいね ${post.likes}${post.editedAt ? " ・ 編集済み" : ""}</small>
+        <button type="button" class="reply-toggle" data-post-id="${post.id}" aria-expanded="false">
+          💬 返信 ${post.replyCount || 0}
+        </button>
+        <button type="button" class="share-button" data-post-id="${post.id}">
+          共有
+        </button>
+        <button type="button" class="report-button" data-post-id="${post.id}">
+          通報
+        </button>
+      </div>`;
+}
+
+/**
+ * A thumbnail that opens the full-size photo in a new tab.
+ */
+function buildPhotoHtml(post, className) {
+  return `<a class="${className}" href="/api/posts/${post.id}/image" target="_blank" rel="noopener">
+          <img src="/api/posts/${post.id}/thumbnail" alt="投稿の写真" loading="lazy" />
+        </a>`;
+}
+
+function buildTagChipHtml(tag, count) {
+  const active = tag === activeTag ? " active" : "";
+  const countHtml = count
+    ? ` <span class="tag-chip__count">${count}</span>`
+    : "";
+  return `<button type="button" class="tag-chip${active}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}${countHtml}</button>`;
+}
+
+function renderClusters(clusters) {
+  clustersLayer.clearLayers();
+  clusters.forEach((cluster) => {
+    const size =
+      cluster.count >= 100 ? "large" : cluster.count >= 10 ? "medium" : "small";
+    const moodHtml = cluster.mood
+      ? `<span class="cluster-marker__mood">${escapeHtml(cluster.mood)}</span>`
+      : "";
+    const marker = L.marker([cluster.lat, cluster.lng], {
+      icon: L.divIcon({
+        className: `cluster-marker cluster-marker--${size}`,
+        html: `${moodHtml}<span class="cluster-marker__count">${cluster.count}</span>`,
+        iconSize: null,
+      }),
+      title: `${cluster.count}件の投稿・いいね ${cluster.likes}`,
+    });
+    marker.on("click", () => zoomToCluster(cluster));
+    clustersLayer.addLayer(marker);
+  });
+}
+
+function zoomToCluster(cluster) {
+  const { minLat, maxLat, minLng, maxLng } = cluster.bounds;
+  const nextZoom = Math.max(map.getZoom() + 2, CLUSTER_ZOOM_THRESHOLD);
+  if (cluster.count > 1 && (minLat !== maxLat || minLng !== maxLng)) {
+    map.fitBounds(
+      [
+        [minLat, minLng],
+        [maxLat, maxLng],
+      ],
+      { padding: [48, 48], maxZoom: nextZoom }
+    );
+    return;
+  }
+  map.setView([cluster.lat, cluster.lng], nextZoom);
+}
+
+function buildMarkerContent(post) {
+  const MAX_LENGTH = 60;
+  const baseText = (post.text || "").trim();
+  const truncated =
+    baseText.length > MAX_LENGTH
+      ? `${baseText.slice(0, MAX_LENGTH)}…`
+      : baseText;
+  const escapedText = escapeHtml(truncated);
+  const hasText = Boolean(truncated);
+  const hasMoodOnly = post.mood && !hasText;
+
+  if (hasMoodOnly) {
+    return {
+      extraClass: "post-marker--emoji",
+      html: `<div class="post-marker__emoji-only">${escapeHtml(
+        post.mood
+      )}</div>`,
+    };
+  }
+
+  let displayText = "新しい投稿";
+  if (post.mood && hasText) {
+    displayText = `${post.mood} ${escapedText}`;
+  } else if (post.mood) {
+    displayText = post.mood;
+  } else if (hasText) {
+    displayText = escapedText;
+  }
+  return {
+    extraClass: "",
+    html: `
+      <div class="post-marker__bubble">
+        <div class="post-marker__text">${displayText}</div>
+        <div class="post-marker__meta">❤️ ${post.likes}</div>
+      </div>
+    `.trim(),
+  };
+}
+
+function buildTimelineItem(post, centerLatLng) {
+  const li = document.createElement("li");
+  li.className = "timeline-item";
+  li.dataset.id = post.id;
+
+  // Rebuilt on every refresh; the reply thread beside it is kept.
+  const content = document.createElement("div");
+  content.className = "timeline-item__content";
+
+  if (post.mood) {
+    const moodBadge = document.createElement("span");
+    moodBadge.className = "mood-tag";
+    moodBadge.textContent = post.mood;
+    content.appendChild(moodBadge);
+  }
+
+  const textPara = document.createElement("p");
+  textPara.className = "body";
+  if (post.text) {
+    textPara.textContent = post.text;
+  } else if (post.mood) {
+    textPara.classList.add("body-muted");
+    textPara.textContent = "気分だけの投稿";
+  } else {
+    textPara.textContent = "";
+  }
+  content.appendChild(textPara);
+
+  if (post.tags?.length) {
+    const tagList = document.createElement("div");
+    tagList.className = "tag-list";
+    tagList.innerHTML = post.tags.map((tag) => buildTagChipHtml(tag)).join("");
+    content.appendChild(tagList);
+  }
+
+  if (post.hasImage) {
+    content.insertAdjacentHTML("beforeend", buildPhotoHtml(post, "post-photo"));
+  }
+
+  const meta = document.createElement("div");
+  meta.className = "meta";
+
+  const distance = centerLatLng
+    ? formatDistance(
+        distanceInMeters(
+          centerLatLng.lat,
+          centerLatLng.lng,
+          post.lat,
+          post.lng
+        )
+      )
+    : "";
+
+  const pieces = [buildPostTimeHtml(post)];
+  if (post.editedAt) {
+    pieces.push("編集済み");
+  }
+  if (distance) {
+    pieces.push(`約${distance}`);
+  }
+  meta.innerHTML = `<span>${pieces.join(" ・ ")}</span><span>❤️ ${post.likes}</span>`;
+  content.appendChild(meta);
+
+  const likeButton = document.createElement("button");
+  likeButton.className = post.likedByMe ? "like-button liked" : "like-button";
+  likeButton.type = "button";
+  likeButton.setAttribute("aria-pressed", post.likedByMe ? "true" : "false");
+  likeButton.textContent = `${post.likedByMe ? "♥" : "♡"} いいね ${post.likes}`;
+  likeButton.addEventListener("click", () => handleLike(post.id, likeButton));
+
+  const replyToggle = document.createElement("button");
+  replyToggle.className = "reply-toggle";
+  replyToggle.type = "button";
+  replyToggle.dataset.postId = post.id;
+  replyToggle.setAttribute("aria-expanded", "false");
+  replyToggle.textContent = `💬 返信 ${post.replyCount || 0}`;
+
+  const actions = document.createElement("div");
+  actions.className = "timeline-item__actions";
+  const reportButton = document.createElement("button");
+  reportButton.className = "report-button";
+  reportButton.type = "button";
+  reportButton.dataset.postId = post.id;
+  reportButton.textContent = "通報";
+  const shareButton = document.createElement("button");
+  shareButton.className = "share-button";
+  shareButton.type = "button";
+  shareButton.dataset.postId = post.id;
+  shareButton.textContent = "共有";
+
+  actions.append(likeButton, replyToggle, shareButton, reportButton);
+
+  if (getAuthorToken(post.id)) {
+    if (Date.now() - post.timestamp < EDIT_WINDOW_MS) {
+      const editButton = document.createElement("button");
+      editButton.className = "author-action";
+      editButton.type = "button";
+      editButton.textContent = "編集";
+      editButton.addEventListener("click", () => handleEditPost(post.id));
+      actions.appendChild(editButton);
+    }
+    const deleteButton = document.createElement("button");
+    deleteButton.className = "author-action";
+    deleteButton.type = "button";
+    deleteButton.textContent = "削除";
+    deleteButton.addEventListener("click", () => handleDeletePost(post.id));
+    actions.appendChild(deleteButton);
+  }
+  content.appendChild(actions);
+
+  li.appendChild(content);
+  li.appendChild(buildReplyThread(post.id));
+  li.addEventListener("click", handleReplyToggleClick);
+  li.addEventListener("click", handleReportClick);
+  li.addEventListener("click", handleShareClick);
+  li.addEventListener("click", handleTagClick);
+
+  return li;
+}
+
+function handleReplyToggleClick(event) {
+  const toggle = event.target.closest(".reply-toggle");
+  if (!toggle) return;
+  const container = event.currentTarget;
+  const thread = container.querySelector(".reply-thread");
+  if (!thread) return;
+
+  thread.hidden = !thread.hidden;
+  syncReplyToggle(container);
+  if (!thread.hidden) {
+    loadReplies(thread);
+  }
+  refreshReplyContainer(container);
+}
+
+function syncReplyToggle(container) {
+  const toggle = container.querySelector(".reply-toggle");
+  const thread = container.querySelector(".reply-thread");
+  if (toggle && thread) {
+    toggle.setAttribute("aria-expanded", thread.hidden ? "false" : "true");
+  }
+}
+
+function refreshReplyContainer(container) {
+  if (container.classList.contains("popup-container")) {
+    const postId = container.querySelector(".reply-thread")?.dataset.postId;
+    markersById.get(postId)?.marker.getPopup()?.update();
+  } else {
+    syncCollapsibleHeight("timeline");
+  }
+}
+
+function buildReplyThread(postId) {
+  const thread = document.createElement("div");
+  thread.className = "reply-thread";
+  thread.dataset.postId = postId;
+  thread.hidden = true;
+
+  const list = document.createElement("ul");
+  list.className = "reply-list";
+  thread.appendChild(list);
+
+  const form = document.createElement("form");
+  form.className = "reply-form";
+  const input = document.createElement("input");
+  input.type = "text";
+  input.name = "text";
+  input.maxLength = 500;
+  input.placeholder = "返信する";
+  input.setAttribute("aria-label", "返信内容");
+  const submit = document.createElement("button");
+  submit.type = "submit";
+  submit.className = "secondary-button";
+  submit.textContent = "送信";
+  form.append(input, submit);
+  form.addEventListener("submit", (event) => handleReplySubmit(event, thread));
+  thread.appendChild(form);
+
+  return thread;
+}
+
+async function loadReplies(thread) {
+  const list = thread.querySelector(".reply-list");
+  try {
+    const response = await fetch(`/api/posts/${thread.dataset.postId}/replies`);
+    if (!response.ok) {
+      throw new Error("返信の取得に失敗しました");
+    }
+    renderReplies(list, await response.json());
+  } catch (error) {
+    console.error(error);
+    list.innerHTML = "";
+    const item = document.createElement("li");
+    item.className = "reply-empty";
+    item.textContent = error.message;
+    list.appendChild(item);
+  }
+  refreshReplyContainer(thread.parentElement);
+}
+
+function renderReplies(list, replies) {
+  list.innerHTML = "";
+  if (!replies.length) {
+    const empty = document.createElement("li");
+    empty.className = "reply-empty";
+    empty.textContent = "まだ返信はありません";
+    list.appendChild(empty);
+    return;
+  }
+  replies.forEach((reply) => {
+    const item = document.createElement("li");
+    item.className = "reply-item";
+    const text = document.createElement("p");
+    text.textContent = reply.text;
+    const time = document.createElement("small");
+    time.textContent = new Date(reply.timestamp).toLocaleString();
+    item.append(text, time);
+    list.appendChild(item);
+  });
+}
+
+async function handleReplySubmit(event, thread) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const input = form.elements.text;
+  const text = input.value.trim();
+  if (!text) {
+    input.focus();
+    return;
+  }
+
+  const postId = thread.dataset.postId;
+  Array.from(form.elements).forEach((el) => {
+    el.disabled = true;
+  });
+  try {
+    const response = await fetch(`/api/posts/${postId}/replies`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text }),
+    });
+    if (!response.ok) {
+      const payload = await safeJson(response);
+      throw new Error(
+        contentRejectionMessage(payload) ||
+          payload?.error ||
+          "返信に失敗しました"
+      );
+    }
+    input.value = "";
+    const post = postsById.get(postId);
+    if (post) {
+      const replyCount = (post.replyCount || 0) + 1;
+      upsertPost({ ...post, replyCount }, currentCenter);
+    }
+    reloadOpenReplyThreads(postId);
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+  } finally {
+    Array.from(form.elements).forEach((el) => {
+      el.disabled = false;
+    });
+  }
+}
+
+function reloadOpenReplyThreads(postId) {
+  document.querySelectorAll(".reply-thread:not([hidden])").forEach((thread) => {
+    if (thread.dataset.postId === postId) {
+      loadReplies(thread);
+    }
+  });
+}
+
+async function handleLike(postId, button) {
+  const post = postsById.get(postId);
+  const liked = Boolean(post?.likedByMe);
+  button.disabled = true;
+  try {
+    const response = await fetch(`/api/posts/${postId}/like`, {
+      method: liked ? "DELETE" : "POST",
+    });
+    if (response.status === 429) {
+      showNotice(
+        `いいねが続いています。${formatCooldown(response)}後にもう一度お試しください。`
+      );
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(
+        liked ? "いいねの取り消しに失敗しました" : "いいねに失敗しました"
+      );
+    }
+    const updated = await response.json();
+    const current = postsById.get(postId);
+    if (current) {
+      upsertPost(
+        { ...current, likes: updated.likes, likedByMe: updated.likedByMe },
+        currentCenter
+      );
     }
-    const updated = await response.json();
-    button.textContent = `いいね ${updated.likes}`;
-    fetchPosts();
   } catch (error) {
     console.error(error);
     alert(error.message);
@@ -1016,11 +2754,198 @@ async function handleLike(postId, button) {
   }
 }
 
+async function handleEditPost(postId) {
+  const post = postsById.get(postId);
+  const token = getAuthorToken(postId);
+  if (!post || !token) return;
+
+  const text = prompt("投稿内容を編集", post.text);
+  if (text === null || text.trim() === post.text) return;
+  if (!text.trim() && !post.mood) {
+    alert("気分を選んでいない投稿は本文を空にできません。");
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/posts/${postId}`, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Author-Token": token,
+      },
+      body: JSON.stringify({ text: text.trim() }),
+    });
+    if (!response.ok) {
+      const payload = await safeJson(response);
+      throw new Error(
+        contentRejectionMessage(payload) ||
+          payload?.error ||
+          "編集に失敗しました"
+      );
+    }
+    const updated = await response.json();
+    upsertPost({ ...post, ...updated }, currentCenter);
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+  }
+}
+
+async function handleDeletePost(postId) {
+  const token = getAuthorToken(postId);
+  if (!token || !confirm("この投稿を削除しますか？")) return;
+
+  try {
+    const response = await fetch(`/api/posts/${postId}`, {
+      method: "DELETE",
+      headers: { "X-Author-Token": token },
+    });
+    if (!response.ok && response.status !== 404) {
+      const payload = await safeJson(response);
+      throw new Error(payload?.error || "削除に失敗しました");
+    }
+    forgetAuthorToken(postId);
+    applyExpiredPosts({ ids: [postId] });
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+  }
+}
+
+function loadAuthorTokens() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(AUTHOR_TOKENS_KEY) || "{}");
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (error) {
+    console.error("Failed to read author tokens", error);
+    return {};
+  }
+}
+
+function persistAuthorTokens(tokens) {
+  try {
+    localStorage.setItem(AUTHOR_TOKENS_KEY, JSON.stringify(tokens));
+  } catch (error) {
+    console.error("Failed to persist author tokens", error);
+  }
+}
+
+function saveAuthorToken(post) {
+  if (!post?.id || !post.authorToken) return;
+  const tokens = loadAuthorTokens();
+  // Drop tokens for posts that have expired anyway.
+  Object.keys(tokens).forEach((id) => {
+    const expiresAt =
+      tokens[id]?.expiresAt || (tokens[id]?.timestamp || 0) + POST_TTL_MS;
+    if (Date.now() > expiresAt) {
+      delete tokens[id];
+    }
+  });
+  tokens[post.id] = {
+    token: post.authorToken,
+    timestamp: post.timestamp,
+    expiresAt: post.expiresAt,
+  };
+  persistAuthorTokens(tokens);
+}
+
+function getAuthorToken(postId) {
+  return loadAuthorTokens()[postId]?.token || null;
+}
+
+function forgetAuthorToken(postId) {
+  const tokens = loadAuthorTokens();
+  delete tokens[postId];
+  persistAuthorTokens(tokens);
+}
+
+function handleReportClick(event) {
+  const button = event.target.closest(".report-button");
+  if (!button) return;
+  openReportDialog(button.dataset.postId);
+}
+
+function handleShareClick(event) {
+  const button = event.target.closest(".share-button");
+  if (!button) return;
+  const { postId } = button.dataset;
+  sharePost(postsById.get(postId) ?? { id: postId });
+}
+
+/**
+ * Shares the post's /p/:id link through the share sheet, or copies it where
+ * the Web Share API is missing.
+ */
+async function sharePost(post) {
+  const url = `${location.origin}/p/${post.id}`;
+  if (navigator.share) {
+    try {
+      await navigator.share({
+        title: "MapTo",
+        text: [post.mood, post.text].filter(Boolean).join(" "),
+        url,
+      });
+    } catch (error) {
+      // Closing the share sheet is not a failure.
+      if (error.name !== "AbortError") {
+        console.error(error);
+      }
+    }
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    showNotice("リンクをコピーしました。");
+  } catch (error) {
+    console.error(error);
+    prompt("このリンクをコピーしてください。", url);
+  }
+}
+
+function openReportDialog(postId) {
+  if (!reportDialog || typeof reportDialog.showModal !== "function") {
+    alert("このブラウザでは通報フォームを表示できません。");
+    return;
+  }
+  const form = reportDialog.querySelector("form");
+  form.reset();
+  reportDialog.returnValue = "";
+  reportDialog.addEventListener(
+    "close",
+    () => {
+      if (reportDialog.returnValue !== "report") return;
+      const reason = form.elements.reason.value;
+      if (reason) {
+        submitReport(postId, reason);
+      }
+    },
+    { once: true }
+  );
+  reportDialog.showModal();
+}
+
+async function submitReport(postId, reason) {
+  try {
+    const response = await fetch(`/api/posts/${postId}/report`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ reason }),
+    });
+    if (!response.ok) {
+      const payload = await safeJson(response);
+      throw new Error(payload?.error || "通報に失敗しました");
+    }
+    alert("通報を受け付けました。ご協力ありがとうございます。");
+  } catch (error) {
+    console.error(error);
+    alert(error.message);
+  }
+}
+
 function highlightNewPost(postId) {
   setTimeout(() => {
-    const item = Array.from(
-      timelineEl.querySelectorAll(".timeline-item")
-    ).find((li) => li.dataset?.id === postId);
+    const item = timelineItemsById.get(postId);
     if (item) {
       item.classList.add("highlight");
       setTimeout(() => item.classList.remove("highlight"), 2000);
@@ -1037,6 +2962,121 @@ function setFormDisabled(disabled) {
   }
 }
 
+/**
+ * Estimates the server clock from a response's ageMs so relative times and
+ * countdowns are right even when the device clock is off.
+ */
+function syncServerClock(posts, receivedAt = Date.now()) {
+  const sample = posts.find((post) => Number.isFinite(post.ageMs));
+  if (sample) {
+    serverClockOffset = receivedAt - (sample.timestamp + sample.ageMs);
+  }
+}
+
+function serverNow() {
+  return Date.now() - serverClockOffset;
+}
+
+/**
+ * "5分前 ・ 残り3時間" for a post, wrapped so refreshPostTimes can update it.
+ */
+function buildPostTimeHtml(post) {
+  const title = new Date(post.timestamp).toLocaleString();
+  return `<span class="post-time" data-post-id="${post.id}" title="${title}">${formatPostTime(post)}</span>`;
+}
+
+function formatPostTime(post) {
+  const now = serverNow();
+  const expiresAt = post.expiresAt || post.timestamp + POST_TTL_MS;
+  return `${formatAge(now - post.timestamp)} ・ ${formatRemaining(expiresAt - now)}`;
+}
+
+function formatAge(ms) {
+  if (ms < MINUTE_MS) return "たった今";
+  if (ms < HOUR_MS) return `${Math.floor(ms / MINUTE_MS)}分前`;
+  if (ms < DAY_MS) return `${Math.floor(ms / HOUR_MS)}時間前`;
+  return `${Math.floor(ms / DAY_MS)}日前`;
+}
+
+function formatRemaining(ms) {
+  if (ms <= 0) return "まもなく終了";
+  if (ms < HOUR_MS) return `残り${Math.ceil(ms / MINUTE_MS)}分`;
+  if (ms < DAY_MS) return `残り${Math.floor(ms / HOUR_MS)}時間`;
+  return `残り${Math.floor(ms / DAY_MS)}日`;
+}
+
+/**
+ * Ticks relative times forward and drops posts whose lifetime has ended,
+ * without waiting for the server's expired event.
+ */
+function refreshPostTimes() {
+  const now = serverNow();
+  const expiredIds = [];
+  postsById.forEach((post, id) => {
+    if ((post.expiresAt || post.timestamp + POST_TTL_MS) <= now) {
+      expiredIds.push(id);
+    }
+  });
+  if (expiredIds.length) {
+    applyExpiredPosts({ ids: expiredIds });
+  }
+
+  const containers = [
+    timelineEl,
+    ...Array.from(markersById.values(), (entry) => entry.popupEl),
+  ];
+  containers.forEach((container) => {
+    container.querySelectorAll(".post-time").forEach((el) => {
+      const post = postsById.get(el.dataset.postId);
+      if (post) {
+        el.textContent = formatPostTime(post);
+      }
+    });
+  });
+}
+
+/**
+ * Japanese text for a content-filter rejection, or null when the response
+ * was some other error.
+ */
+function contentRejectionMessage(payload) {
+  return CONTENT_REJECTION_MESSAGES[payload?.reason] || null;
+}
+
+function showComposerError(message) {
+  if (!composerErrorEl) return;
+  composerErrorEl.textContent = message || "";
+  composerErrorEl.hidden = !message;
+  syncCollapsibleHeight("composer");
+}
+
+/**
+ * Shows a short message at the bottom of the screen for a few seconds.
+ */
+function showNotice(message) {
+  if (!noticeEl) return;
+  noticeEl.textContent = message;
+  noticeEl.hidden = false;
+  clearTimeout(noticeTimer);
+  noticeTimer = setTimeout(() => {
+    noticeEl.hidden = true;
+  }, 5000);
+}
+
+/**
+ * Turns a 429 response's Retry-After header into "30秒" or "約5分".
+ */
+function formatCooldown(response) {
+  const seconds = Number(response.headers.get("Retry-After"));
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    return "しばらく";
+  }
+  if (seconds < 60) {
+    return `${Math.ceil(seconds)}秒`;
+  }
+  return `約${Math.ceil(seconds / 60)}分`;
+}
+
 function safeJson(response) {
   return response
     .clone()
@@ -1,17 +1,105 @@
 const scheduledTags = new Set();
 const OPEN_URL = "https://mapto.onrender.com/";
+// Bump to drop every cache made by an older worker on activation.
+const CACHE_VERSION = "v1";
+const SHELL_CACHE = `mapto-shell-${CACHE_VERSION}`;
+const POSTS_CACHE = `mapto-posts-${CACHE_VERSION}`;
+const SHELL_ASSETS = [
+  "/index.html",
+  "/main.js",
+  "/styles.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.css",
+  "https://unpkg.com/leaflet@1.9.4/dist/leaflet.js",
+];
+const SHELL_URLS = new Set(
+  SHELL_ASSETS.map((asset) => new URL(asset, self.location.origin).href)
+);
+const OUTBOX_DB = "mapto-outbox";
+const OUTBOX_STORE = "posts";
+const OUTBOX_SYNC_TAG = "mapto-outbox";
+let outboxFlush = null;
 
 self.addEventListener("install", (event) => {
-  event.waitUntil(self.skipWaiting());
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      // An asset that fails here is cached on its next use instead; it must
+      // not keep the worker, and with it reminders, from installing.
+      await Promise.all(
+        SHELL_ASSETS.map((asset) =>
+          cache.add(asset).catch((error) => {
+            console.error(`Failed to precache ${asset}`, error);
+          })
+        )
+      );
+      await self.skipWaiting();
+    })()
+  );
 });
 
 self.addEventListener("activate", (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith("mapto-"))
+          .filter((name) => name !== SHELL_CACHE && name !== POSTS_CACHE)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(fetchPage(request));
+  } else if (
+    url.origin === self.location.origin &&
+    url.pathname === "/api/posts" &&
+    !url.searchParams.has("cursor")
+  ) {
+    event.respondWith(fetchPostsPage(event));
+  } else if (SHELL_URLS.has(url.href)) {
+    event.respondWith(fetchShellAsset(event));
+  }
+});
+
+self.addEventListener("sync", (event) => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(
+    flushOutbox().then((sent) => {
+      // Rejecting asks the browser to retry the sync later.
+      if (!sent) throw new Error("Outbox is still waiting for the network");
+    })
+  );
 });
 
 self.addEventListener("message", (event) => {
-  const { type, reminders, title, body, tag, url } = event.data || {};
-  if (type === "scheduleReminders") {
+  const {
+    type,
+    reminders,
+    title,
+    body,
+    tag,
+    url,
+    post,
+    photo,
+    idempotencyKey,
+    ids,
+  } = event.data || {};
+  if (type === "queuePost") {
+    event.waitUntil(queuePost(post, photo, idempotencyKey));
+  } else if (type === "flushOutbox") {
+    event.waitUntil(flushOutbox());
+  } else if (type === "ackOutbox") {
+    event.waitUntil(removeOutboxEntries(ids));
+  } else if (type === "scheduleReminders") {
     event.waitUntil(scheduleReminders(reminders));
   } else if (type === "cancelReminders") {
     event.waitUntil(cancelReminders());
@@ -119,3 +207,249 @@ function supportsNotificationTriggers() {
     "TimestampTrigger" in self
   );
 }
+
+/**
+ * Pages come from the network so /p/:id keeps its link-preview tags, and
+ * fall back to the cached app shell offline.
+ */
+async function fetchPage(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match("/index.html");
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serves the shell from the cache at once and refreshes it in the
+ * background, so the next load picks up a new version.
+ */
+async function fetchShellAsset(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request).then((response) => {
+    if (response.ok) {
+      return cache.put(event.request, response.clone()).then(() => response);
+    }
+    return response;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+/**
+ * Stale-while-revalidate for the first page of GET /api/posts. Only the
+ * latest response is kept, stamped with X-Cached-At so the page can tell
+ * how old its times are. When the fresh copy lists different posts, open
+ * pages are told to load it.
+ */
+async function fetchPostsPage(event) {
+  const { request } = event;
+  const cache = await caches.open(POSTS_CACHE);
+  const cached = await cache.match(request);
+  const cachedBody = cached?.clone().text();
+  const network = fetch(request).then(async (response) => {
+    if (!response.ok) return response;
+    const body = await response.clone().text();
+    const headers = new Headers(response.headers);
+    headers.set("X-Cached-At", String(Date.now()));
+    const keys = await cache.keys();
+    await Promise.all(keys.map((key) => cache.delete(key)));
+    await cache.put(
+      request,
+      new Response(body, { status: response.status, headers })
+    );
+
+    const previous = cached && postsSignature(await cachedBody);
+    if (previous && previous !== postsSignature(body)) {
+      await postToClients({ type: "postsRevalidated", url: request.url });
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+// What a refresh could change about the listed posts, leaving out times.
+function postsSignature(body) {
+  try {
+    return JSON.parse(body)
+      .map(({ id, likes, replyCount, editedAt, hasImage }) =>
+        [id, likes, replyCount, editedAt, hasImage].join(":")
+      )
+      .join(",");
+  } catch {
+    return body;
+  }
+}
+
+async function postToClients(message) {
+  const allClients = await clients.matchAll({
+    type: "window",
+    includeUncontrolled: true,
+  });
+  allClients.forEach((client) => client.postMessage(message));
+}
+
+/**
+ * Stores a post composed offline and arranges for it to be sent once the
+ * network is back, by Background Sync where the browser has it. The entry
+ * id doubles as the post's idempotency key, so the server creates the post
+ * once however many times it is sent.
+ */
+async function queuePost(post, photo, idempotencyKey) {
+  if (!post) return;
+  await outboxRequest("readwrite", (store) =>
+    store.put({
+      id: idempotencyKey || self.crypto.randomUUID(),
+      status: "pending",
+      body: post,
+      photo: photo || null,
+      queuedAt: Date.now(),
+    })
+  );
+  await broadcastOutbox();
+
+  if (self.registration.sync) {
+    try {
+      await self.registration.sync.register(OUTBOX_SYNC_TAG);
+      return;
+    } catch (error) {
+      console.error("Failed to register outbox sync", error);
+    }
+  }
+  await flushOutbox();
+}
+
+/**
+ * Sends pending posts oldest first, stopping at the first one the network
+ * or server cannot take right now. Posts the server refuses are marked
+ * failed. Resolves to whether nothing is left pending.
+ */
+function flushOutbox() {
+  if (!outboxFlush) {
+    outboxFlush = sendPendingPosts().finally(() => {
+      outboxFlush = null;
+    });
+  }
+  return outboxFlush;
+}
+
+async function sendPendingPosts() {
+  const entries = await outboxRequest("readonly", (store) => store.getAll());
+  const pending = entries
+    .filter((entry) => entry.status === "pending")
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+  let sentAll = true;
+
+  for (const entry of pending) {
+    let response;
+    try {
+      response = await fetch("/api/posts", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Idempotency-Key": entry.id,
+        },
+        body: JSON.stringify(entry.body),
+      });
+    } catch {
+      sentAll = false;
+      break;
+    }
+    if (response.status === 429 || response.status >= 500) {
+      sentAll = false;
+      break;
+    }
+
+    const payload = await response.json().catch(() => null);
+    const result = response.ok
+      ? { status: "sent", post: payload }
+      : { status: "failed", response: payload };
+    if (response.ok && entry.photo) {
+      result.photoFailed = !(await uploadQueuedPhoto(payload, entry.photo));
+    }
+    await outboxRequest("readwrite", (store) =>
+      store.put({ ...entry, ...result, photo: null })
+    );
+  }
+
+  await broadcastOutbox();
+  return sentAll;
+}
+
+async function uploadQueuedPhoto(post, photo) {
+  try {
+    const response = await fetch(`/api/posts/${post.id}/image`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": photo.type,
+        "X-Author-Token": post.authorToken,
+      },
+      body: photo,
+    });
+    return response.ok;
+  } catch (error) {
+    console.error("Failed to attach a queued photo", error);
+    return false;
+  }
+}
+
+/**
+ * Tells open pages what is in the outbox. Sent and failed entries stay
+ * until a page acknowledges them, since only a page can keep the author
+ * token of a sent post.
+ */
+async function broadcastOutbox() {
+  const entries = await outboxRequest("readonly", (store) => store.getAll());
+  await postToClients({
+    type: "outbox",
+    entries: entries.map(({ photo, ...entry }) => ({
+      ...entry,
+      hasPhoto: Boolean(photo),
+    })),
+  });
+}
+
+async function removeOutboxEntries(ids = []) {
+  if (!Array.isArray(ids) || !ids.length) return;
+  await Promise.all(
+    ids.map((id) => outboxRequest("readwrite", (store) => store.delete(id)))
+  );
+  await broadcastOutbox();
+}
+
+/**
+ * Runs one request against the outbox store in its own transaction and
+ * resolves to its result once the transaction completes.
+ */
+async function outboxRequest(mode, makeRequest) {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(OUTBOX_STORE, mode);
+    const request = makeRequest(transaction.objectStore(OUTBOX_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  }).finally(() => db.close());
+}
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX_STORE, { keyPath: "id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
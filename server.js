@@ -1,45 +1,153 @@
 const express = require("express");
+const fs = require("fs/promises");
 const path = require("path");
-const { randomUUID } = require("crypto");
-const { Pool } = require("pg");
+const {
+  createHash,
+  createHmac,
+  randomBytes,
+  randomUUID,
+  timingSafeEqual,
+} = require("crypto");
+const { createStore } = require("./stores");
+const { createImageStorage, processImage } = require("./images");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const POST_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const POST_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours, the default lifetime
+// Lifetimes an author may pick, keyed by the value the client sends.
+const POST_LIFETIMES = {
+  "1h": 60 * 60 * 1000,
+  "6h": 6 * 60 * 60 * 1000,
+  "24h": POST_TTL_MS,
+  "3d": 3 * 24 * 60 * 60 * 1000,
+};
+const EDIT_WINDOW_MS = 15 * 60 * 1000; // authors may edit for 15 minutes
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const IMAGE_CACHE_SECONDS = 60 * 60;
 const DEFAULT_RADIUS_METERS = 5000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_BBOX_AREA_KM2 = 10000;
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_REPLIES_PER_POST = 200;
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "personal_info",
+  "dangerous",
+  "other",
+];
+const REPORT_HIDE_THRESHOLD =
+  parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+// Fixed-window write limits, counted separately per client IP and per device.
+const POST_RATE_LIMIT = {
+  windowMs: parseInt(process.env.POST_RATE_WINDOW_MS, 10) || 10 * 60 * 1000,
+  perIp: parseInt(process.env.POST_RATE_LIMIT_PER_IP, 10) || 20,
+  perDevice: parseInt(process.env.POST_RATE_LIMIT_PER_DEVICE, 10) || 5,
+};
+const LIKE_RATE_LIMIT = {
+  windowMs: parseInt(process.env.LIKE_RATE_WINDOW_MS, 10) || 60 * 1000,
+  perIp: parseInt(process.env.LIKE_RATE_LIMIT_PER_IP, 10) || 120,
+  perDevice: parseInt(process.env.LIKE_RATE_LIMIT_PER_DEVICE, 10) || 30,
+};
+// Letters and digits in any script, so Japanese tags like #花火 work too.
+const TAG_PATTERN = /[#＃]([\p{L}\p{M}\p{N}_]+)/gu;
+const TAG_VALUE_PATTERN = /^[\p{L}\p{M}\p{N}_]+$/u;
+const MAX_TAG_LENGTH = 30;
+const MAX_TAGS_PER_POST = 10;
+const DEFAULT_TRENDING_TAGS = 10;
+const MAX_TRENDING_TAGS = 50;
+const MAX_SEARCH_QUERY_LENGTH = 100;
+const DEFAULT_SEARCH_RESULTS = 20;
+const MAX_SEARCH_RESULTS = 50;
+// A hit needs half the query's bigrams. Its score is 70% that share and 30%
+// freshness, which halves every 24 hours.
+const SEARCH_RANKING = {
+  minRelevance: 0.5,
+  relevanceWeight: 0.7,
+  halfLifeMs: 24 * 60 * 60 * 1000,
+};
+const POST_SORTS = ["newest", "likes", "distance", "trending"];
+// Trending ranks (likes + 1) / (age in hours + 2) ^ 1.5, so an older post
+// needs ever more likes to stay above fresh ones.
+const TRENDING_RANKING = { gravity: 1.5, ageOffsetHours: 2 };
+const MAX_CLUSTER_ZOOM = 22;
+const INDEX_HTML_PATH = path.join(__dirname, "public", "index.html");
+const SITE_NAME = "MapTo";
+const MAX_PREVIEW_TITLE_LENGTH = 40;
+const MAX_PREVIEW_DESCRIPTION_LENGTH = 120;
+const CLUSTER_CELL_PIXELS = 80;
+const MAX_CLUSTERS = 1000;
+const MOOD_BUCKETS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+const MOOD_CELL_PIXELS = 64;
+const MAX_MOOD_GRID_SIDE = 100; // cells across a mood stats bbox
+const MAX_TZ_OFFSET_MINUTES = 14 * 60;
+const REMOVAL_EVENTS = new Set(["expired", "deleted", "hidden"]);
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_RETRY_MS = 5000;
+const MAX_MODERATION_RESULTS = 200;
+const MAX_AUDIT_ENTRIES = 200;
+const BAN_TARGETS = ["device", "author"];
+const CONTENT_POLICIES = ["block", "mask", "allow"];
+const URL_POLICY = contentPolicy(process.env.URL_POLICY, "mask");
+const PHONE_POLICY = contentPolicy(process.env.PHONE_POLICY, "block");
+// A run of the same 1-4 characters this many times in a row is spam.
+const MAX_REPEATS = parseInt(process.env.MAX_REPEATS, 10) || 10;
+const MAX_NG_WORD_LENGTH = 50;
+const NG_WORDS_CACHE_MS = 60 * 1000;
+const URL_PATTERN =
+  /(?:https?:\/\/|www\.)[^\s\u3000]+|\b[a-z0-9][a-z0-9-]*(?:\.[a-z0-9-]+)*\.(?:com|net|org|jp|io|co|me|info|biz|xyz|ly|gl|to)\b(?:\/[^\s\u3000]*)?/giu;
+// Full-width digits and dashes included, since they are a common way around
+// naive filters in Japanese text.
+const PHONE_PATTERN =
+  /[+＋]?[0-9０-９](?:[0-9０-９]|[-－‐ー−()（） ]){8,}[0-9０-９]/gu;
+const MASKS = { url: "（URL省略）", phone: "（電話番号省略）" };
+const DEVICE_COOKIE = "mapto_device";
+const DEVICE_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const METERS_PER_DEGREE_LAT = 111320;
 
-const connectionString =
-  process.env.DATABASE_URL ||
-  process.env.DATABASE_INTERNAL_URL ||
-  process.env.DATABASE_EXTERNAL_URL ||
-  process.env.POSTGRES_URL ||
-  process.env.DB_URL;
+let store;
+let imageStorage;
+try {
+  store = createStore();
+  imageStorage = createImageStorage();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-if (!connectionString) {
-  console.error(
-    "DATABASE_URL (or DATABASE_INTERNAL_URL / DATABASE_EXTERNAL_URL) must be set to connect to PostgreSQL",
+const deviceSecret =
+  process.env.DEVICE_SECRET || randomBytes(32).toString("hex");
+
+if (!process.env.DEVICE_SECRET) {
+  console.warn(
+    "DEVICE_SECRET is not set; device cookies will not survive a restart or work across instances",
   );
-  process.exit(1);
 }
 
-const pool = new Pool({
-  connectionString,
-  ssl:
-    process.env.NODE_ENV === "production"
-      ? { rejectUnauthorized: false }
-      : false,
-});
+const adminToken = process.env.ADMIN_TOKEN || "";
+let ngWordsCache = { words: [], loadedAt: 0 };
+
+/**
+ * Open `GET /api/stream` responses, each with the bounds it subscribed to.
+ * @type {Set<{ res: import("express").Response, bounds: object }>}
+ */
+const streamSubscribers = new Set();
 
-initializeDatabase()
+store
+  .initialize()
   .then(() => purgeExpiredPosts())
+  .then(() => store.subscribe(dispatchPostEvent))
   .then(() => {
     app.listen(PORT, () => {
       console.log(`Server listening on http://localhost:${PORT}`);
     });
   })
   .catch((error) => {
-    console.error("Failed to initialize database:", error);
+    console.error("Failed to initialize storage:", error);
     process.exit(1);
   });
 
@@ -51,51 +159,299 @@ initializeDatabase()
  * @property {string} text
  * @property {string | null} mood
  * @property {number} timestamp
+ * @property {number} expiresAt when the post disappears from the map
  * @property {number} likes
+ * @property {number} replyCount
+ * @property {boolean} likedByMe whether the requesting device liked it
+ * @property {number | null} editedAt
+ * @property {boolean} hasImage whether GET /api/posts/:id/image and
+ *   /api/posts/:id/thumbnail serve a photo
+ * @property {string[]} tags normalized hashtags from the text, without "#"
+ * @property {number} [distance] meters from the query point, when searched by radius
+ * @property {number} [score] the trending score, when sorted by trending
+ */
+
+/**
+ * @typedef {Object} Reply
+ * @property {string} id
+ * @property {string} postId
+ * @property {string} text
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} ModeratedPost
+ * A Post as operators see it, including hidden and overdue ones.
+ * @property {number | null} hiddenAt
+ * @property {number} reportCount
+ * @property {Object<string, number>} reportReasons counts keyed by reason
+ */
+
+/**
+ * @typedef {Object} MoodTally
+ * @property {Object<string, number>} counts posts per mood
+ * @property {number} total
+ * @property {string | null} dominant the most common mood
  */
 
+/**
+ * @typedef {Object} Cluster
+ * @property {string} id grid cell key, stable for a given zoom
+ * @property {number} lat centroid latitude
+ * @property {number} lng centroid longitude
+ * @property {number} count
+ * @property {string | null} mood most common mood in the cell
+ * @property {number} likes total likes in the cell
+ * @property {{ minLat: number, maxLat: number, minLng: number, maxLng: number }} bounds
+ */
+
+// Needed behind a reverse proxy so per-IP rate limits see the client address.
+// A hop count ("1") or a list of trusted addresses.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set(
+    "trust proxy",
+    Number.isInteger(hops) ? hops : process.env.TRUST_PROXY,
+  );
+}
+
 app.use(express.json({ limit: "10kb" }));
 app.use(express.static(path.join(__dirname, "public")));
+app.use("/api", identifyDevice);
+
+const limitPosts = [rejectBannedDevice, rateLimit("post", POST_RATE_LIMIT)];
+const limitLikes = [rejectBannedDevice, rateLimit("like", LIKE_RATE_LIMIT)];
 
 app.get("/api/posts", async (req, res) => {
   try {
     await purgeExpiredPosts();
 
-    const lat = parseFloat(req.query.lat);
-    const lng = parseFloat(req.query.lng);
-    const radiusMeters =
-      parseFloat(req.query.radius) || DEFAULT_RADIUS_METERS;
+    const area = parseAreaQuery(req.query);
+    if (area.error) {
+      return res.status(400).json({ error: area.error });
+    }
+    const sort = parseSortQuery(req.query.sort, area);
+    if (sort.error) {
+      return res.status(400).json({ error: sort.error });
+    }
+    const page = parsePageQuery(req.query, sort.value);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    const tag = parseTagQuery(req.query.tag);
+    if (tag.error) {
+      return res.status(400).json({ error: tag.error });
+    }
+    const range = parseTimeRangeQuery(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    // Later pages keep scoring trending posts at the first page's time, so
+    // the order does not shift under the cursor as posts age.
+    const rankedAt = page.cursor?.rankedAt ?? Date.now();
+    const { posts, hasMore } = await store.queryLivePosts({
+      ...area,
+      ...page,
+      ...range,
+      tag: tag.value,
+      sort: sort.value,
+      ranking: { ...TRENDING_RANKING, rankedAt },
+      deviceId: req.deviceId,
+    });
+    if (hasMore && posts.length) {
+      res.set(
+        "X-Next-Cursor",
+        encodeCursor(posts[posts.length - 1], sort.value, rankedAt),
+      );
+    }
 
-    if (!Number.isFinite(lat) || !Number.isFinite(lng) || radiusMeters <= 0) {
-      return res
-        .status(400)
-        .json({ error: "lat, lng, and radius must be valid numbers" });
-    }
-
-    const posts = await fetchRecentPosts();
-    const nearby = posts
-      .filter((post) => {
-        const distance = distanceInMeters(lat, lng, post.lat, post.lng);
-        return distance <= radiusMeters;
-      })
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .map((post) => ({
-        ...post,
-        ageMs: Date.now() - post.timestamp,
-      }));
-
-    res.json(nearby);
+    res.json(withPostTimes(posts));
   } catch (error) {
     console.error("Failed to load posts:", error);
     res.status(500).json({ error: "Failed to load posts" });
   }
 });
 
-app.post("/api/posts", async (req, res) => {
+app.get("/api/posts/clusters", async (req, res) => {
   try {
     await purgeExpiredPosts();
 
-    const { lat, lng, text, mood } = req.body || {};
+    const bounds = parseBoundingBox(req.query.bbox);
+    const zoom = Number(req.query.zoom);
+    const tag = parseTagQuery(req.query.tag);
+    const range = parseTimeRangeQuery(req.query);
+
+    if (!bounds) {
+      return res.status(400).json({
+        error: "bbox must be minLng,minLat,maxLng,maxLat with min < max",
+      });
+    }
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_CLUSTER_ZOOM) {
+      return res.status(400).json({
+        error: `zoom must be an integer between 0 and ${MAX_CLUSTER_ZOOM}`,
+      });
+    }
+    if (tag.error) {
+      return res.status(400).json({ error: tag.error });
+    }
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    res.json(await fetchClusters({ bounds, zoom, tag: tag.value, ...range }));
+  } catch (error) {
+    console.error("Failed to load clusters:", error);
+    res.status(500).json({ error: "Failed to load clusters" });
+  }
+});
+
+// Mood counts in a bbox, per grid cell and per time bucket, for the mood
+// layer. `tzOffset` is in minutes as from Date#getTimezoneOffset, so day
+// buckets start at the client's local midnight.
+app.get("/api/stats/moods", async (req, res) => {
+  try {
+    await purgeExpiredPosts();
+
+    const bounds = parseBoundingBox(req.query.bbox);
+    const zoom = Number(req.query.zoom);
+    const bucket = req.query.bucket ?? "hour";
+    const tzOffset = Number(req.query.tzOffset ?? 0);
+
+    if (!bounds) {
+      return res.status(400).json({
+        error: "bbox must be minLng,minLat,maxLng,maxLat with min < max",
+      });
+    }
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_CLUSTER_ZOOM) {
+      return res.status(400).json({
+        error: `zoom must be an integer between 0 and ${MAX_CLUSTER_ZOOM}`,
+      });
+    }
+    if (!Object.hasOwn(MOOD_BUCKETS, bucket)) {
+      return res.status(400).json({
+        error: `bucket must be one of ${Object.keys(MOOD_BUCKETS).join(", ")}`,
+      });
+    }
+    if (
+      !Number.isInteger(tzOffset) ||
+      Math.abs(tzOffset) > MAX_TZ_OFFSET_MINUTES
+    ) {
+      return res
+        .status(400)
+        .json({ error: "tzOffset must be a whole number of minutes" });
+    }
+
+    const cellDegrees = (360 / 2 ** zoom) * (MOOD_CELL_PIXELS / 256);
+    if (
+      (bounds.maxLat - bounds.minLat) / cellDegrees > MAX_MOOD_GRID_SIDE ||
+      (bounds.maxLng - bounds.minLng) / cellDegrees > MAX_MOOD_GRID_SIDE
+    ) {
+      return res
+        .status(400)
+        .json({ error: "bbox is too large for this zoom level" });
+    }
+
+    res.json(
+      await fetchMoodStats({
+        bounds,
+        zoom,
+        cellDegrees,
+        bucket,
+        offsetMs: -tzOffset * 60 * 1000,
+      }),
+    );
+  } catch (error) {
+    console.error("Failed to load mood stats:", error);
+    res.status(500).json({ error: "Failed to load mood stats" });
+  }
+});
+
+// Posts matching `q` anywhere, or in an area given like GET /api/posts.
+app.get("/api/posts/search", async (req, res) => {
+  try {
+    await purgeExpiredPosts();
+
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query || query.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: `q must be 1 to ${MAX_SEARCH_QUERY_LENGTH} characters`,
+      });
+    }
+    const grams = searchGrams(query);
+    if (grams.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "q must contain a word of at least 2 characters" });
+    }
+
+    const hasArea = req.query.bbox !== undefined || req.query.lat !== undefined;
+    const area = hasArea ? parseAreaQuery(req.query) : {};
+    if (area.error) {
+      return res.status(400).json({ error: area.error });
+    }
+
+    let limit = DEFAULT_SEARCH_RESULTS;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isFinite(limit) || limit <= 0) {
+        return res
+          .status(400)
+          .json({ error: "limit must be a positive integer" });
+      }
+      limit = Math.min(limit, MAX_SEARCH_RESULTS);
+    }
+
+    const posts = await store.searchPosts({
+      ...area,
+      grams,
+      ranking: SEARCH_RANKING,
+      limit,
+      deviceId: req.deviceId,
+    });
+
+    res.json(withPostTimes(posts));
+  } catch (error) {
+    console.error("Failed to search posts:", error);
+    res.status(500).json({ error: "Failed to search posts" });
+  }
+});
+
+// The most used tags among live posts in an area, as `{ tag, count }`.
+app.get("/api/tags/trending", async (req, res) => {
+  try {
+    await purgeExpiredPosts();
+
+    const area = parseAreaQuery(req.query);
+    if (area.error) {
+      return res.status(400).json({ error: area.error });
+    }
+
+    let limit = DEFAULT_TRENDING_TAGS;
+    if (req.query.limit !== undefined) {
+      limit = parseInt(req.query.limit, 10);
+      if (!Number.isFinite(limit) || limit <= 0) {
+        return res
+          .status(400)
+          .json({ error: "limit must be a positive integer" });
+      }
+      limit = Math.min(limit, MAX_TRENDING_TAGS);
+    }
+
+    res.json(await store.fetchTrendingTags({ ...area, limit }));
+  } catch (error) {
+    console.error("Failed to load trending tags:", error);
+    res.status(500).json({ error: "Failed to load trending tags" });
+  }
+});
+
+// Repeats are answered before the rate limit, so a retry costs no quota.
+app.post("/api/posts", answerRepeatedPost, limitPosts, async (req, res) => {
+  try {
+    await purgeExpiredPosts();
+
+    const { idempotencyKey } = req;
+    const { lat, lng, text, mood, lifetime = "24h" } = req.body || {};
 
     const latNum = parseFloat(lat);
     const lngNum = parseFloat(lng);
@@ -106,6 +462,12 @@ app.post("/api/posts", async (req, res) => {
         .json({ error: "lat and lng are required numbers" });
     }
 
+    if (!Object.hasOwn(POST_LIFETIMES, lifetime)) {
+      return res.status(400).json({
+        error: `lifetime must be one of ${Object.keys(POST_LIFETIMES).join(", ")}`,
+      });
+    }
+
     const hasText = typeof text === "string" && text.trim().length > 0;
     const hasMood = typeof mood === "string" && mood.trim().length > 0;
 
@@ -115,196 +477,1493 @@ app.post("/api/posts", async (req, res) => {
         .json({ error: "Either text or mood must be provided" });
     }
 
-    const sanitizedText = sanitizeText(text);
+    const filtered = await filterContent(sanitizeText(text));
+    if (filtered.rejected) {
+      return res.status(422).json({
+        error: "Text was rejected by the content filter",
+        reason: filtered.rejected,
+      });
+    }
+    const sanitizedText = filtered.text;
     const sanitizedMood = sanitizeMood(mood);
 
     const timestamp = Date.now();
 
-    const post = await createPost({
+    const authorToken = issueAuthorToken(req.deviceId, idempotencyKey);
+
+    const post = await store.createPost({
       id: randomUUID(),
       lat: latNum,
       lng: lngNum,
       text: sanitizedText,
       mood: sanitizedMood || null,
+      tags: extractTags(sanitizedText),
+      grams: searchGrams(sanitizedText),
       timestamp,
+      expiresAt: timestamp + POST_LIFETIMES[lifetime],
       likes: 0,
+      authorTokenHash: hashToken(authorToken),
+      deviceId: req.deviceId,
+      idempotencyKey,
     });
+    if (!post) {
+      // A repeat of this request created the post first.
+      if (await sendRepeatedPost(req, res, idempotencyKey)) return;
+      return res
+        .status(409)
+        .json({ error: "A post with this Idempotency-Key already exists" });
+    }
 
-    res.status(201).json(post);
+    publishPostEvent("created", post);
+    // The token is only ever returned here; the database keeps its hash.
+    res.status(201).json({ ...post, authorToken });
   } catch (error) {
     console.error("Failed to create post:", error);
     res.status(500).json({ error: "Failed to create post" });
   }
 });
 
-app.post("/api/posts/:id/like", async (req, res) => {
+app.patch("/api/posts/:id", rejectBannedDevice, async (req, res) => {
+  try {
+    await purgeExpiredPosts();
+
+    const authorship = await checkAuthorship(req);
+    if (authorship.error) {
+      return res.status(authorship.status).json({ error: authorship.error });
+    }
+    if (Date.now() - authorship.post.timestamp > EDIT_WINDOW_MS) {
+      return res
+        .status(403)
+        .json({ error: "Posts can only be edited shortly after posting" });
+    }
+
+    const { lat, lng, text, mood } = req.body || {};
+    const changes = {};
+
+    if (lat !== undefined || lng !== undefined) {
+      const latNum = parseFloat(lat);
+      const lngNum = parseFloat(lng);
+      if (!Number.isFinite(latNum) || !Number.isFinite(lngNum)) {
+        return res
+          .status(400)
+          .json({ error: "lat and lng must be provided together as numbers" });
+      }
+      changes.lat = latNum;
+      changes.lng = lngNum;
+    }
+    if (text !== undefined) {
+      const filtered = await filterContent(sanitizeText(text));
+      if (filtered.rejected) {
+        return res.status(422).json({
+          error: "Text was rejected by the content filter",
+          reason: filtered.rejected,
+        });
+      }
+      changes.text = filtered.text;
+      changes.tags = extractTags(filtered.text);
+      changes.grams = searchGrams(filtered.text);
+    }
+    if (mood !== undefined) {
+      changes.mood = sanitizeMood(mood) || null;
+    }
+
+    const nextText = changes.text ?? authorship.post.text;
+    const nextMood =
+      changes.mood !== undefined ? changes.mood : authorship.post.mood;
+    if (!nextText && !nextMood) {
+      return res
+        .status(400)
+        .json({ error: "Either text or mood must be provided" });
+    }
+
+    const post = await store.updatePost(req.params.id, changes, req.deviceId);
+    if (!post) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    publishPostEvent("updated", post);
+    res.json(post);
+  } catch (error) {
+    console.error("Failed to update post:", error);
+    res.status(500).json({ error: "Failed to update post" });
+  }
+});
+
+app.delete("/api/posts/:id", rejectBannedDevice, async (req, res) => {
+  try {
+    await purgeExpiredPosts();
+
+    const authorship = await checkAuthorship(req);
+    if (authorship.error) {
+      return res.status(authorship.status).json({ error: authorship.error });
+    }
+
+    await store.deletePost(req.params.id);
+    removePostImages([req.params.id]);
+    publishPostEvent("deleted", { ids: [req.params.id] });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Failed to delete post:", error);
+    res.status(500).json({ error: "Failed to delete post" });
+  }
+});
+
+// The image is sent as the raw request body, after the post itself exists.
+app.put(
+  "/api/posts/:id/image",
+  rejectBannedDevice,
+  express.raw({ type: IMAGE_TYPES, limit: MAX_IMAGE_BYTES }),
+  async (req, res) => {
+    try {
+      await purgeExpiredPosts();
+
+      const authorship = await checkAuthorship(req);
+      if (authorship.error) {
+        return res.status(authorship.status).json({ error: authorship.error });
+      }
+      if (Date.now() - authorship.post.timestamp > EDIT_WINDOW_MS) {
+        return res
+          .status(403)
+          .json({ error: "Images can only be added shortly after posting" });
+      }
+      if (authorship.post.hasImage) {
+        return res
+          .status(409)
+          .json({ error: "This post already has an image" });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(415).json({
+          error: `Send the image as the request body with type ${IMAGE_TYPES.join(", ")}`,
+        });
+      }
+
+      let image;
+      try {
+        image = await processImage(req.body);
+      } catch (error) {
+        console.warn("Rejected unreadable image:", error.message);
+        return res.status(422).json({ error: "The image could not be read" });
+      }
+
+      await imageStorage.save(req.params.id, image);
+      const post = await store.attachImage(req.params.id, req.deviceId);
+      if (!post) {
+        removePostImages([req.params.id]);
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      publishPostEvent("updated", post);
+      res.json(post);
+    } catch (error) {
+      console.error("Failed to attach image:", error);
+      res.status(500).json({ error: "Failed to attach image" });
+    }
+  },
+);
+
+app.get("/api/posts/:id", async (req, res) => {
+  try {
+    await purgeExpiredPosts();
+
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const post = await store.fetchLivePost(req.params.id, req.deviceId);
+    if (!post) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    res.json(withPostTimes([post])[0]);
+  } catch (error) {
+    console.error("Failed to load post:", error);
+    res.status(500).json({ error: "Failed to load post" });
+  }
+});
+
+app.get("/api/posts/:id/image", (req, res) => sendPostImage(req, res, "full"));
+
+app.get("/api/posts/:id/thumbnail", (req, res) =>
+  sendPostImage(req, res, "thumbnail"),
+);
+
+app.post("/api/posts/:id/like", limitLikes, async (req, res) => {
   try {
     await purgeExpiredPosts();
 
-    const result = await incrementLikes(req.params.id);
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const result = await store.likePost(req.params.id, req.deviceId);
     if (!result) {
       return res.status(404).json({ error: "Post not found" });
     }
 
-    res.json(result);
+    if (result.changed) {
+      publishPostEvent("liked", result.post);
+    }
+    res.json({ id: result.post.id, likes: result.post.likes, likedByMe: true });
   } catch (error) {
     console.error("Failed to like post:", error);
     res.status(500).json({ error: "Failed to like post" });
   }
 });
 
-// Purge old posts periodically to keep memory usage predictable.
-setInterval(() => {
-  purgeExpiredPosts().catch((error) =>
-    console.warn("Failed to purge posts:", error)
-  );
-}, 5 * 60 * 1000); // every 5 minutes
+app.delete("/api/posts/:id/like", limitLikes, async (req, res) => {
+  try {
+    await purgeExpiredPosts();
 
-app.use((req, res) => {
-  res.sendFile(path.join(__dirname, "public", "index.html"));
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const result = await store.unlikePost(req.params.id, req.deviceId);
+    if (!result) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    if (result.changed) {
+      publishPostEvent("liked", result.post);
+    }
+    res.json({
+      id: result.post.id,
+      likes: result.post.likes,
+      likedByMe: false,
+    });
+  } catch (error) {
+    console.error("Failed to unlike post:", error);
+    res.status(500).json({ error: "Failed to unlike post" });
+  }
 });
 
-async function initializeDatabase() {
-  if (!pool.options.connectionString) {
-    throw new Error(
-      "PostgreSQL connection string is not configured; set DATABASE_URL or DATABASE_INTERNAL_URL",
-    );
+app.get("/api/stream", (req, res) => {
+  const bounds = parseBoundingBox(req.query.bbox);
+  if (!bounds) {
+    return res.status(400).json({
+      error: "bbox must be minLng,minLat,maxLng,maxLat with min < max",
+    });
   }
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS posts (
-      id UUID PRIMARY KEY,
-      lat DOUBLE PRECISION NOT NULL,
-      lng DOUBLE PRECISION NOT NULL,
-      text TEXT NOT NULL,
-      mood TEXT,
-      timestamp BIGINT NOT NULL,
-      likes INTEGER NOT NULL DEFAULT 0
-    )
-  `);
-}
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
 
-async function purgeExpiredPosts() {
-  const cutoff = Date.now() - POST_TTL_MS;
-  const result = await pool.query("DELETE FROM posts WHERE timestamp < $1", [
-    cutoff,
-  ]);
-  return result.rowCount;
-}
-
-async function fetchRecentPosts() {
-  const cutoff = Date.now() - POST_TTL_MS;
-  const { rows } = await pool.query(
-    `
-      SELECT id, lat, lng, text, mood, timestamp, likes
-      FROM posts
-      WHERE timestamp >= $1
-    `,
-    [cutoff],
-  );
-  return rows.map(normalizeRow).filter((post) => post !== null);
-}
-
-async function createPost(post) {
-  const { rows } = await pool.query(
-    `
-      INSERT INTO posts (id, lat, lng, text, mood, timestamp, likes)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id, lat, lng, text, mood, timestamp, likes
-    `,
-    [
-      post.id,
-      post.lat,
-      post.lng,
-      post.text,
-      post.mood,
-      post.timestamp,
-      post.likes,
-    ],
-  );
+  const subscriber = { res, bounds };
+  streamSubscribers.add(subscriber);
+  req.on("close", () => {
+    streamSubscribers.delete(subscriber);
+  });
+});
 
-  return normalizeRow(rows[0]);
-}
+// Comment lines keep idle streams open through proxies that time out.
+setInterval(() => {
+  streamSubscribers.forEach(({ res }) => res.write(": ping\n\n"));
+}, STREAM_HEARTBEAT_MS);
 
-async function incrementLikes(id) {
-  const { rows } = await pool.query(
-    `
-      UPDATE posts SET likes = likes + 1
-      WHERE id = $1
-      RETURNING id, likes
-    `,
-    [id],
-  );
+app.post("/api/posts/:id/report", rejectBannedDevice, async (req, res) => {
+  try {
+    await purgeExpiredPosts();
 
-  if (rows.length === 0) {
-    return null;
-  }
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-  return { id: rows[0].id, likes: Number(rows[0].likes) };
-}
+    const reason = req.body?.reason;
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: `reason must be one of ${REPORT_REASONS.join(", ")}`,
+      });
+    }
 
-function distanceInMeters(lat1, lng1, lat2, lng2) {
-  const R = 6371000; // meters
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLng / 2) *
-      Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+    const result = await store.reportPost(
+      req.params.id,
+      req.deviceId,
+      reason,
+      REPORT_HIDE_THRESHOLD,
+    );
+    if (!result) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-function toRad(value) {
-  return (value * Math.PI) / 180;
-}
+    if (result.hidden) {
+      publishPostEvent("hidden", { ids: [req.params.id] });
+    }
+    res.json({ id: req.params.id, reported: true });
+  } catch (error) {
+    console.error("Failed to report post:", error);
+    res.status(500).json({ error: "Failed to report post" });
+  }
+});
 
-function sanitizeText(value) {
-  if (typeof value !== "string") return "";
-  const trimmed = value.trim();
-  if (!trimmed) return "";
-  const limited = Array.from(trimmed).slice(0, 500).join("");
-  return limited || trimmed;
-}
+app.get("/api/posts/:id/replies", async (req, res) => {
+  try {
+    await purgeExpiredPosts();
 
-function sanitizeMood(value) {
-  if (typeof value !== "string") return "";
-  const trimmed = value.trim();
-  if (!trimmed) return "";
-  const limited = Array.from(trimmed).slice(0, 4).join("");
-  return limited || trimmed;
-}
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-function normalizeRow(entry) {
-  if (!entry) {
-    return null;
+    const replies = await store.fetchReplies(
+      req.params.id,
+      MAX_REPLIES_PER_POST,
+    );
+    if (!replies) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    res.json(replies);
+  } catch (error) {
+    console.error("Failed to load replies:", error);
+    res.status(500).json({ error: "Failed to load replies" });
   }
+});
 
-  const lat = Number(entry.lat);
-  const lng = Number(entry.lng);
-  const timestamp = Number(entry.timestamp);
+app.post("/api/posts/:id/replies", rejectBannedDevice, async (req, res) => {
+  try {
+    await purgeExpiredPosts();
 
-  if (
-    !Number.isFinite(lat) ||
-    !Number.isFinite(lng) ||
-    !Number.isFinite(timestamp)
-  ) {
-    return null;
-  }
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
 
-  const text = sanitizeText(entry.text);
-  const mood = sanitizeMood(entry.mood);
-  const likes = Number(entry.likes);
+    const filtered = await filterContent(sanitizeText(req.body?.text));
+    if (filtered.rejected) {
+      return res.status(422).json({
+        error: "Text was rejected by the content filter",
+        reason: filtered.rejected,
+      });
+    }
+    const sanitizedText = filtered.text;
+    if (!sanitizedText) {
+      return res.status(400).json({ error: "text must be provided" });
+    }
 
-  return {
-    id: typeof entry.id === "string" ? entry.id : randomUUID(),
-    lat,
-    lng,
-    text,
-    mood: mood || null,
-    timestamp,
-    likes: Number.isFinite(likes) && likes >= 0 ? Math.floor(likes) : 0,
-  };
+    const result = await store.createReply({
+      id: randomUUID(),
+      postId: req.params.id,
+      text: sanitizedText,
+      timestamp: Date.now(),
+    });
+    if (!result) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    publishPostEvent("replied", result.post);
+    res.status(201).json(result.reply);
+  } catch (error) {
+    console.error("Failed to create reply:", error);
+    res.status(500).json({ error: "Failed to create reply" });
+  }
+});
+
+// Purge old posts periodically to keep memory usage predictable.
+setInterval(() => {
+  purgeExpiredPosts().catch((error) =>
+    console.warn("Failed to purge posts:", error)
+  );
+  purgeRateLimits().catch((error) =>
+    console.warn("Failed to purge rate limits:", error)
+  );
+}, 5 * 60 * 1000); // every 5 minutes
+
+app.use(
+  "/admin",
+  requireAdminEnabled,
+  express.static(path.join(__dirname, "admin")),
+);
+app.use("/api/admin", requireAdmin);
+
+app.get("/api/admin/queue", async (req, res) => {
+  try {
+    res.json(
+      await store.fetchModeratedPosts({
+        queueOnly: true,
+        limit: MAX_MODERATION_RESULTS,
+      }),
+    );
+  } catch (error) {
+    console.error("Failed to load moderation queue:", error);
+    res.status(500).json({ error: "Failed to load moderation queue" });
+  }
+});
+
+app.get("/api/admin/posts", async (req, res) => {
+  try {
+    let bounds = null;
+    if (req.query.bbox !== undefined) {
+      bounds = parseBoundingBox(req.query.bbox);
+      if (!bounds) {
+        return res.status(400).json({
+          error: "bbox must be minLng,minLat,maxLng,maxLat with min < max",
+        });
+      }
+    }
+
+    const range = parseTimeRangeQuery(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    res.json(
+      await store.fetchModeratedPosts({
+        bounds,
+        ...range,
+        limit: MAX_MODERATION_RESULTS,
+      }),
+    );
+  } catch (error) {
+    console.error("Failed to search posts:", error);
+    res.status(500).json({ error: "Failed to search posts" });
+  }
+});
+
+app.post("/api/admin/posts/:id/restore", async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const restored = await store.restorePost(
+      req.params.id,
+      moderationContext(req),
+    );
+    if (!restored) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    // Clients dropped the post when it was hidden, so it comes back as new.
+    // One restored past its lifetime stays gone.
+    const post = await store.fetchLivePost(req.params.id, null);
+    if (post) {
+      publishPostEvent("created", post);
+    }
+    res.json({ id: req.params.id, restored: true });
+  } catch (error) {
+    console.error("Failed to restore post:", error);
+    res.status(500).json({ error: "Failed to restore post" });
+  }
+});
+
+app.delete("/api/admin/posts/:id", async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    const deleted = await store.moderatorDeletePost(
+      req.params.id,
+      moderationContext(req),
+    );
+    if (!deleted) {
+      return res.status(404).json({ error: "Post not found" });
+    }
+
+    removePostImages([req.params.id]);
+    publishPostEvent("deleted", { ids: [req.params.id] });
+    res.status(204).end();
+  } catch (error) {
+    console.error("Failed to delete post:", error);
+    res.status(500).json({ error: "Failed to delete post" });
+  }
+});
+
+app.get("/api/admin/bans", async (req, res) => {
+  try {
+    res.json(await store.fetchBans());
+  } catch (error) {
+    console.error("Failed to load bans:", error);
+    res.status(500).json({ error: "Failed to load bans" });
+  }
+});
+
+app.post("/api/admin/bans", async (req, res) => {
+  try {
+    const { postId, target, reason } = req.body || {};
+    if (!BAN_TARGETS.includes(target)) {
+      return res
+        .status(400)
+        .json({ error: `target must be one of ${BAN_TARGETS.join(", ")}` });
+    }
+    if (!UUID_PATTERN.test(postId || "")) {
+      return res.status(400).json({ error: "postId must be a post id" });
+    }
+
+    const ban = await store.banPostAuthor({
+      postId,
+      target,
+      reason: sanitizeText(reason) || null,
+      context: moderationContext(req),
+    });
+    if (!ban) {
+      return res
+        .status(404)
+        .json({ error: `No ${target} is recorded for that post` });
+    }
+
+    res.status(201).json(ban);
+  } catch (error) {
+    console.error("Failed to create ban:", error);
+    res.status(500).json({ error: "Failed to create ban" });
+  }
+});
+
+app.delete("/api/admin/bans/:id", async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(404).json({ error: "Ban not found" });
+    }
+
+    const lifted = await store.liftBan(id, moderationContext(req));
+    if (!lifted) {
+      return res.status(404).json({ error: "Ban not found" });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error("Failed to lift ban:", error);
+    res.status(500).json({ error: "Failed to lift ban" });
+  }
+});
+
+app.get("/api/admin/ng-words", async (req, res) => {
+  try {
+    res.json(await fetchNgWords());
+  } catch (error) {
+    console.error("Failed to load NG words:", error);
+    res.status(500).json({ error: "Failed to load NG words" });
+  }
+});
+
+app.post("/api/admin/ng-words", async (req, res) => {
+  try {
+    const word = typeof req.body?.word === "string" ? req.body.word.trim() : "";
+    if (!normalizeForMatching(word) || word.length > MAX_NG_WORD_LENGTH) {
+      return res.status(400).json({
+        error: `word must be 1-${MAX_NG_WORD_LENGTH} characters with letters`,
+      });
+    }
+
+    const entry = await addNgWord(word, moderationContext(req));
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error("Failed to add NG word:", error);
+    res.status(500).json({ error: "Failed to add NG word" });
+  }
+});
+
+app.delete("/api/admin/ng-words/:word", async (req, res) => {
+  try {
+    const removed = await removeNgWord(req.params.word, moderationContext(req));
+    if (!removed) {
+      return res.status(404).json({ error: "NG word not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Failed to remove NG word:", error);
+    res.status(500).json({ error: "Failed to remove NG word" });
+  }
+});
+
+app.get("/api/admin/audit", async (req, res) => {
+  try {
+    res.json(await store.fetchAuditLog(MAX_AUDIT_ENTRIES));
+  } catch (error) {
+    console.error("Failed to load audit log:", error);
+    res.status(500).json({ error: "Failed to load audit log" });
+  }
+});
+
+// The app itself, with link-preview tags for one post so shared links unfurl
+// in chat apps. main.js opens the post, or says it is gone, on load.
+app.get("/p/:id", async (req, res) => {
+  try {
+    await purgeExpiredPosts();
+
+    const post = UUID_PATTERN.test(req.params.id)
+      ? await store.fetchLivePost(req.params.id, null)
+      : null;
+    const html = await fs.readFile(INDEX_HTML_PATH, "utf8");
+    res
+      .status(post ? 200 : 404)
+      .type("html")
+      .send(renderPostPage(html, post, req));
+  } catch (error) {
+    console.error("Failed to render post page:", error);
+    res.status(500).json({ error: "Failed to render post page" });
+  }
+});
+
+app.use((req, res) => {
+  res.sendFile(INDEX_HTML_PATH);
+});
+
+async function purgeExpiredPosts() {
+  const ids = await store.purgeExpiredPosts(Date.now());
+  if (ids.length > 0) {
+    removePostImages(ids);
+    publishPostEvent("expired", { ids });
+  }
+  return ids.length;
+}
+
+/**
+ * Deletes the images of posts that are gone. Failures are only logged: the
+ * posts are already deleted, and an orphaned file is never served because
+ * the image routes check the post first.
+ */
+function removePostImages(ids) {
+  imageStorage
+    .remove(ids)
+    .catch((error) => console.warn("Failed to remove post images:", error));
+}
+
+/**
+ * Serves one variant of a live post's image. Hidden and expired posts'
+ * images are not served even while the files still exist.
+ */
+async function sendPostImage(req, res, variant) {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    const post = await store.findLivePost(req.params.id);
+    const image = post?.hasImage
+      ? await imageStorage.read(req.params.id, variant)
+      : null;
+    if (!image) {
+      return res.status(404).json({ error: "Image not found" });
+    }
+
+    res.set("Cache-Control", `public, max-age=${IMAGE_CACHE_SECONDS}`);
+    res.type("image/jpeg").send(image);
+  } catch (error) {
+    console.error("Failed to load image:", error);
+    res.status(500).json({ error: "Failed to load image" });
+  }
+}
+
+async function purgeRateLimits() {
+  return store.purgeRateLimits(Date.now());
+}
+
+/**
+ * Broadcasts a post change through the store so that stream subscribers on
+ * every server instance receive it, not just this one.
+ */
+function publishPostEvent(type, data) {
+  store
+    .publishEvent(type, data)
+    .catch((error) => console.warn("Failed to publish post event:", error));
+}
+
+function dispatchPostEvent(type, data) {
+  streamSubscribers.forEach(({ res, bounds }) => {
+    // Removals carry only ids; clients drop whichever ones they hold.
+    const isRemoval = REMOVAL_EVENTS.has(type);
+    if (!isRemoval && !isWithinBounds(bounds, data.lat, data.lng)) {
+      return;
+    }
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+}
+
+/**
+ * Groups live posts in `bounds` into square grid cells roughly
+ * CLUSTER_CELL_PIXELS wide at the given Web Mercator zoom level.
+ */
+async function fetchClusters({ bounds, zoom, tag, from, to }) {
+  const cellDegrees = (360 / 2 ** zoom) * (CLUSTER_CELL_PIXELS / 256);
+  const cells = await store.fetchClusters({
+    bounds,
+    cellDegrees,
+    tag,
+    from,
+    to,
+    limit: MAX_CLUSTERS,
+  });
+  return cells.map(({ cellX, cellY, ...cell }) => ({
+    id: `${zoom}:${cellX}:${cellY}`,
+    ...cell,
+  }));
+}
+
+/**
+ * Mood counts for the whole bbox, for each grid cell with its bounds, and
+ * for each time bucket, oldest first.
+ */
+async function fetchMoodStats({ bounds, zoom, cellDegrees, bucket, offsetMs }) {
+  const bucketMs = MOOD_BUCKETS[bucket];
+  const { cells, buckets } = await store.fetchMoodStats({
+    bounds,
+    cellDegrees,
+    bucketMs,
+    offsetMs,
+  });
+
+  const cellGroups = groupMoodCounts(
+    cells,
+    (row) => `${row.cellX}:${row.cellY}`,
+  );
+  const bucketGroups = groupMoodCounts(buckets, (row) => row.start);
+
+  return {
+    bucket,
+    ...tallyOf(groupMoodCounts(cells, () => "all").get("all")?.counts || {}),
+    cells: Array.from(cellGroups.values(), ({ first, counts }) => ({
+      id: `${zoom}:${first.cellX}:${first.cellY}`,
+      bounds: {
+        minLat: first.cellY * cellDegrees,
+        maxLat: (first.cellY + 1) * cellDegrees,
+        minLng: first.cellX * cellDegrees,
+        maxLng: (first.cellX + 1) * cellDegrees,
+      },
+      ...tallyOf(counts),
+    })),
+    buckets: Array.from(bucketGroups.values(), ({ first, counts }) => ({
+      start: first.start,
+      end: first.start + bucketMs,
+      ...tallyOf(counts),
+    })).sort((a, b) => a.start - b.start),
+  };
+}
+
+/**
+ * Sums `{ mood, count }` rows into per-mood counts for each `keyOf(row)`,
+ * keeping the group's first row for its other fields.
+ * @returns {Map<string, { first: Object, counts: Object<string, number> }>}
+ */
+function groupMoodCounts(rows, keyOf) {
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = keyOf(row);
+    if (!groups.has(key)) {
+      groups.set(key, { first: row, counts: {} });
+    }
+    const { counts } = groups.get(key);
+    counts[row.mood] = (counts[row.mood] || 0) + row.count;
+  });
+  return groups;
+}
+
+/**
+ * @returns {MoodTally}
+ */
+function tallyOf(counts) {
+  let total = 0;
+  let dominant = null;
+  Object.entries(counts).forEach(([mood, count]) => {
+    total += count;
+    if (dominant === null || count > counts[dominant]) {
+      dominant = mood;
+    }
+  });
+  return { counts, total, dominant };
+}
+
+/**
+ * Confirms that the request carries the author token of a live post.
+ * Resolves to `{ post }` or to `{ status, error }` for the response.
+ */
+async function checkAuthorship(req) {
+  if (!UUID_PATTERN.test(req.params.id)) {
+    return { status: 404, error: "Post not found" };
+  }
+
+  const post = await store.findLivePost(req.params.id);
+  if (!post) {
+    return { status: 404, error: "Post not found" };
+  }
+
+  const token = req.get("X-Author-Token");
+  const stored = post.authorTokenHash;
+  if (!token || !stored || !safeEqual(hashToken(token), stored)) {
+    return { status: 403, error: "Author token does not match this post" };
+  }
+  if (await store.isBanned("author", stored)) {
+    return { status: 403, error: "This author has been banned" };
+  }
+
+  return {
+    post: {
+      id: post.id,
+      text: post.text,
+      mood: post.mood,
+      timestamp: post.timestamp,
+      hasImage: post.hasImage,
+    },
+  };
+}
+
+/**
+ * A new post's author token. With an idempotency key it is derived from the
+ * key, so a retried request can be given the same token while the database
+ * still keeps only its hash.
+ */
+function issueAuthorToken(deviceId, idempotencyKey) {
+  if (!idempotencyKey) {
+    return randomBytes(24).toString("base64url");
+  }
+  return createHmac("sha256", deviceSecret)
+    .update(`author:${deviceId}:${idempotencyKey}`)
+    .digest("base64url");
+}
+
+/**
+ * Answers a repeated post request with the post the first one created, so a
+ * client retrying after a lost response does not post twice. Resolves to
+ * false when the device has no live post with the key.
+ */
+async function sendRepeatedPost(req, res, idempotencyKey) {
+  const post = await store.fetchPostByIdempotencyKey(
+    req.deviceId,
+    idempotencyKey,
+  );
+  if (!post) return false;
+  res.json({
+    ...post,
+    authorToken: issueAuthorToken(req.deviceId, idempotencyKey),
+  });
+  return true;
+}
+
+/**
+ * Express middleware for creating posts: reads the optional Idempotency-Key
+ * into `req.idempotencyKey` and answers a repeat of a request that already
+ * created a post.
+ */
+async function answerRepeatedPost(req, res, next) {
+  try {
+    const idempotencyKey = req.get("Idempotency-Key") || null;
+    if (idempotencyKey && !UUID_PATTERN.test(idempotencyKey)) {
+      return res.status(400).json({ error: "Idempotency-Key must be a UUID" });
+    }
+    if (idempotencyKey && (await sendRepeatedPost(req, res, idempotencyKey))) {
+      return;
+    }
+    req.idempotencyKey = idempotencyKey;
+    next();
+  } catch (error) {
+    console.error("Failed to look up a repeated post:", error);
+    res.status(500).json({ error: "Failed to create post" });
+  }
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+async function fetchNgWords() {
+  const entries = await store.fetchNgWords();
+  return entries.map(({ word, timestamp }) => ({ word, timestamp }));
+}
+
+async function addNgWord(word, context) {
+  const entry = {
+    word,
+    normalized: normalizeForMatching(word),
+    timestamp: Date.now(),
+  };
+  await store.addNgWord(entry, context);
+  ngWordsCache.loadedAt = 0;
+  return { word, timestamp: entry.timestamp };
+}
+
+async function removeNgWord(word, context) {
+  const removed = await store.removeNgWord(word, context);
+  ngWordsCache.loadedAt = 0;
+  return removed;
+}
+
+/**
+ * Normalized NG words, cached briefly so the create path does not query them
+ * every time. Edits on other instances show up once the cache expires.
+ */
+async function loadNgWords() {
+  if (Date.now() - ngWordsCache.loadedAt < NG_WORDS_CACHE_MS) {
+    return ngWordsCache.words;
+  }
+  const entries = await store.fetchNgWords();
+  ngWordsCache = {
+    words: entries.map((entry) => entry.normalized),
+    loadedAt: Date.now(),
+  };
+  return ngWordsCache.words;
+}
+
+function boundingBox(lat, lng, radiusMeters) {
+  const dLat = radiusMeters / METERS_PER_DEGREE_LAT;
+  const minLat = Math.max(-90, lat - dLat);
+  const maxLat = Math.min(90, lat + dLat);
+  const cosLat = Math.cos(toRad(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+
+  // Near the poles or across the antimeridian the longitude span wraps;
+  // fall back to the full range and let the exact distance check decide.
+  if (cosLat < 1e-6) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+  const dLng = radiusMeters / (METERS_PER_DEGREE_LAT * cosLat);
+  if (lng - dLng < -180 || lng + dLng > 180) {
+    return { minLat, maxLat, minLng: -180, maxLng: 180 };
+  }
+  return { minLat, maxLat, minLng: lng - dLng, maxLng: lng + dLng };
+}
+
+/**
+ * Reads either `bbox` or `lat`/`lng`/`radius` from a query string into the
+ * area shape queryLivePosts expects, or `{ error }` when it is unusable.
+ */
+function parseAreaQuery(query) {
+  if (query.bbox !== undefined) {
+    const bounds = parseBoundingBox(query.bbox);
+    if (!bounds) {
+      return {
+        error: "bbox must be minLng,minLat,maxLng,maxLat with min < max",
+      };
+    }
+    if (boundingBoxAreaKm2(bounds) > MAX_BBOX_AREA_KM2) {
+      return { error: `bbox area must not exceed ${MAX_BBOX_AREA_KM2} km²` };
+    }
+    return { bounds };
+  }
+
+  const lat = parseFloat(query.lat);
+  const lng = parseFloat(query.lng);
+  const radiusMeters = parseFloat(query.radius) || DEFAULT_RADIUS_METERS;
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || radiusMeters <= 0) {
+    return { error: "lat, lng, and radius must be valid numbers" };
+  }
+  return {
+    bounds: boundingBox(lat, lng, radiusMeters),
+    center: { lat, lng },
+    radiusMeters,
+  };
+}
+
+/**
+ * Reads the optional `from`/`to` millisecond timestamps bounding a post's
+ * creation time, both inclusive, or `{ error }` when they are unusable.
+ */
+function parseTimeRangeQuery(query) {
+  const from = query.from !== undefined ? Number(query.from) : null;
+  const to = query.to !== undefined ? Number(query.to) : null;
+  if (
+    (from !== null && !Number.isFinite(from)) ||
+    (to !== null && !Number.isFinite(to))
+  ) {
+    return { error: "from and to must be millisecond timestamps" };
+  }
+  if (from !== null && to !== null && from > to) {
+    return { error: "from must not be after to" };
+  }
+  return { from, to };
+}
+
+/**
+ * Reads the optional `sort` order, "newest" by default. Sorting by distance
+ * needs the `lat`/`lng` query point of `area`.
+ * Resolves to `{ value }` or to `{ error }`.
+ */
+function parseSortQuery(value, area) {
+  const sort = value ?? "newest";
+  if (!POST_SORTS.includes(sort)) {
+    return { error: `sort must be one of ${POST_SORTS.join(", ")}` };
+  }
+  if (sort === "distance" && !area.center) {
+    return { error: "sort=distance requires lat and lng" };
+  }
+  return { value: sort };
+}
+
+/**
+ * Reads `limit` and `cursor`, clamping the limit to MAX_PAGE_SIZE. The
+ * cursor must come from a page in the same `sort` order.
+ */
+function parsePageQuery(query, sort = "newest") {
+  let limit = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10);
+    if (!Number.isFinite(limit) || limit <= 0) {
+      return { error: "limit must be a positive integer" };
+    }
+    limit = Math.min(limit, MAX_PAGE_SIZE);
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) {
+      return { error: "cursor is invalid" };
+    }
+  }
+  return { limit, cursor };
+}
+
+/**
+ * Reads an optional `tag` filter, with or without its leading "#".
+ * Resolves to `{ value }`, null when absent, or to `{ error }`.
+ */
+function parseTagQuery(value) {
+  if (value === undefined || value === "") {
+    return { value: null };
+  }
+  const tag =
+    typeof value === "string" ? normalizeTag(value.replace(/^[#＃]/, "")) : "";
+  if (!TAG_VALUE_PATTERN.test(tag) || tag.length > MAX_TAG_LENGTH) {
+    return { error: "tag must be a single hashtag" };
+  }
+  return { value: tag };
+}
+
+/**
+ * Puts the title and Open Graph/Twitter tags for `post`, or for a post that
+ * has disappeared when it is null, into the head of index.html. The place is
+ * given only to about a kilometer.
+ */
+function renderPostPage(html, post, req) {
+  const origin = `${req.protocol}://${req.get("host")}`;
+  let title = "この投稿は消えました";
+  let description = `${SITE_NAME}の投稿は表示期間が過ぎると地図から消えます。`;
+  if (post) {
+    const text = post.text || "気分だけの投稿";
+    title = truncateText(
+      [post.mood, text].filter(Boolean).join(" "),
+      MAX_PREVIEW_TITLE_LENGTH,
+    );
+    description = truncateText(
+      `${approximatePlace(post)}付近 ・ ${text}`,
+      MAX_PREVIEW_DESCRIPTION_LENGTH,
+    );
+  }
+
+  const tags = {
+    description,
+    "og:type": "article",
+    "og:site_name": SITE_NAME,
+    "og:title": title,
+    "og:description": description,
+    "og:url": `${origin}/p/${req.params.id}`,
+    "twitter:card": post?.hasImage ? "summary_large_image" : "summary",
+    "twitter:title": title,
+    "twitter:description": description,
+  };
+  if (post?.hasImage) {
+    tags["og:image"] = `${origin}/api/posts/${post.id}/image`;
+  }
+  if (!post) {
+    tags.robots = "noindex";
+  }
+
+  const metaHtml = Object.entries(tags)
+    .map(([key, value]) => {
+      const attribute = key.startsWith("og:") ? "property" : "name";
+      return `    <meta ${attribute}="${key}" content="${escapeHtml(value)}" />`;
+    })
+    .join("\n");
+  // Replacer functions, since post text may contain `$&` and the like.
+  return html
+    .replace(
+      /<title>[^<]*<\/title>/,
+      () => `<title>${escapeHtml(`${title} | ${SITE_NAME}`)}</title>`,
+    )
+    .replace(/\n\s*<\/head>/, () => `\n${metaHtml}\n  </head>`);
+}
+
+/**
+ * "北緯35.68° 東経139.77°", rounded to two decimals.
+ */
+function approximatePlace({ lat, lng }) {
+  const latitude = `${lat < 0 ? "南緯" : "北緯"}${Math.abs(lat).toFixed(2)}°`;
+  const longitude = `${lng < 0 ? "西経" : "東経"}${Math.abs(lng).toFixed(2)}°`;
+  return `${latitude} ${longitude}`;
+}
+
+function truncateText(text, maxLength) {
+  const chars = Array.from(text);
+  return chars.length > maxLength
+    ? `${chars.slice(0, maxLength - 1).join("")}…`
+    : text;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Adds `ageMs` and `remainingMs` as of the server clock, so clients can show
+ * them correctly even when their own clock is off.
+ */
+function withPostTimes(posts) {
+  const now = Date.now();
+  return posts.map((post) => ({
+    ...post,
+    ageMs: now - post.timestamp,
+    remainingMs: Math.max(post.expiresAt - now, 0),
+  }));
+}
+
+/**
+ * Encodes the position after `post` as `[timestamp, id]`, followed by the
+ * value sorted on (likes, distance or score) when not sorted by newest, and
+ * by `rankedAt` when sorted by trending.
+ */
+function encodeCursor(post, sort = "newest", rankedAt = null) {
+  const values = [post.timestamp, post.id];
+  if (sort === "likes") values.push(post.likes);
+  if (sort === "distance") values.push(post.distance);
+  if (sort === "trending") values.push(post.score, rankedAt);
+  return Buffer.from(JSON.stringify(values)).toString("base64url");
+}
+
+function decodeCursor(value, sort = "newest") {
+  if (typeof value !== "string" || !value) return null;
+  try {
+    const decoded = JSON.parse(Buffer.from(value, "base64url").toString());
+    if (!Array.isArray(decoded)) return null;
+    const [timestamp, id, ...sortValues] = decoded;
+    if (!Number.isFinite(timestamp) || !UUID_PATTERN.test(id)) return null;
+
+    const expected = sort === "newest" ? 0 : sort === "trending" ? 2 : 1;
+    if (
+      sortValues.length !== expected ||
+      !sortValues.every((entry) => Number.isFinite(entry))
+    ) {
+      return null;
+    }
+    const [sortValue = null, rankedAt = null] = sortValues;
+    return { timestamp, id, value: sortValue, rankedAt };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses `minLng,minLat,maxLng,maxLat`; returns null when malformed.
+ */
+function parseBoundingBox(value) {
+  if (typeof value !== "string") return null;
+  const parts = value.split(",").map((part) => parseFloat(part));
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (
+    minLat < -90 ||
+    maxLat > 90 ||
+    minLng < -180 ||
+    maxLng > 180 ||
+    minLat >= maxLat ||
+    minLng >= maxLng
+  ) {
+    return null;
+  }
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+function isWithinBounds(bounds, lat, lng) {
+  return (
+    lat >= bounds.minLat &&
+    lat <= bounds.maxLat &&
+    lng >= bounds.minLng &&
+    lng <= bounds.maxLng
+  );
+}
+
+function boundingBoxAreaKm2({ minLat, maxLat, minLng, maxLng }) {
+  const kmPerDegree = METERS_PER_DEGREE_LAT / 1000;
+  const midLat = (minLat + maxLat) / 2;
+  const height = (maxLat - minLat) * kmPerDegree;
+  const width = (maxLng - minLng) * kmPerDegree * Math.cos(toRad(midLat));
+  return height * width;
+}
+
+function toRad(value) {
+  return (value * Math.PI) / 180;
+}
+
+function sanitizeText(value) {
+  if (typeof value !== "string") return "";
+  const trimmed = value.trim();
+  if (!trimmed) return "";
+  const limited = Array.from(trimmed).slice(0, 500).join("");
+  return limited || trimmed;
+}
+
+/**
+ * Collects the distinct #tags in `text` in order of appearance, normalized
+ * so that ＃ＨＡＮＡＢＩ and #Hanabi are the same tag. Purely numeric tags
+ * such as "#1" are left out.
+ */
+function extractTags(text) {
+  const tags = new Set();
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const tag = normalizeTag(match[1]);
+    if (tag.length <= MAX_TAG_LENGTH && !/^\p{N}+$/u.test(tag)) {
+      tags.add(tag);
+    }
+  }
+  return Array.from(tags).slice(0, MAX_TAGS_PER_POST);
+}
+
+function normalizeTag(tag) {
+  return tag.normalize("NFKC").toLowerCase();
+}
+
+/**
+ * The distinct character bigrams of `text` for search, taken within each run
+ * of characters between spaces and punctuation and folded like NG-word
+ * matching, so "ラーメン" and "らーめん" find each other. Runs of one
+ * character produce none.
+ */
+function searchGrams(text) {
+  const grams = new Set();
+  text
+    .normalize("NFKC")
+    .split(/[\s\p{P}\p{S}]+/u)
+    .forEach((run) => {
+      const chars = Array.from(normalizeForMatching(run));
+      for (let i = 0; i < chars.length - 1; i += 1) {
+        grams.add(chars[i] + chars[i + 1]);
+      }
+    });
+  return Array.from(grams);
+}
+
+/**
+ * Runs user text through the content filter: NG words, repeated-character
+ * spam, then URLs and phone numbers according to URL_POLICY and
+ * PHONE_POLICY. Resolves to `{ text }` with anything masked, or to
+ * `{ rejected }` naming the rule that blocked it.
+ */
+async function filterContent(text) {
+  if (!text) return { text };
+
+  const normalized = normalizeForMatching(text);
+  const ngWords = await loadNgWords();
+  if (ngWords.some((word) => word && normalized.includes(word))) {
+    return { rejected: "ng_word" };
+  }
+
+  const repeated = new RegExp(`(.{1,4})\\1{${MAX_REPEATS - 1},}`, "u");
+  if (repeated.test(text.normalize("NFKC").toLowerCase())) {
+    return { rejected: "repeated_characters" };
+  }
+
+  let filtered = text;
+  const detectors = [
+    ["url", URL_POLICY, URL_PATTERN, () => true],
+    ["phone", PHONE_POLICY, PHONE_PATTERN, isPhoneNumber],
+  ];
+  for (const [rule, policy, pattern, accept] of detectors) {
+    if (policy === "allow") continue;
+    let found = false;
+    filtered = filtered.replace(pattern, (match) => {
+      if (!accept(match)) return match;
+      found = true;
+      return MASKS[rule];
+    });
+    if (found && policy === "block") {
+      return { rejected: rule };
+    }
+  }
+
+  return { text: filtered };
+}
+
+/**
+ * Folds text for NG-word matching: full-width and half-width forms via
+ * NFKC, katakana to hiragana, and no spaces, punctuation or symbols, so
+ * "ﾊﾞｶ", "バ カ" and "ばか" all match the same entry.
+ */
+function normalizeForMatching(text) {
+  return text
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[\u30a1-\u30f6]/g, (char) =>
+      String.fromCharCode(char.charCodeAt(0) - 0x60),
+    )
+    .replace(/[\s\p{P}\p{S}]/gu, "");
+}
+
+/**
+ * Domestic numbers start with 0 and international ones with +, which keeps
+ * dates and prices out.
+ */
+function isPhoneNumber(match) {
+  const folded = match.normalize("NFKC");
+  const digits = folded.replace(/\D/g, "");
+  return /^[+0]/.test(folded) && digits.length >= 10 && digits.length <= 13;
+}
+
+function contentPolicy(value, fallback) {
+  if (value === undefined) return fallback;
+  if (!CONTENT_POLICIES.includes(value)) {
+    console.warn(`Unknown content policy "${value}", using "${fallback}"`);
+    return fallback;
+  }
+  return value;
+}
+
+function sanitizeMood(value) {
+  if (typeof value !== "string") return "";
+  const trimmed = value.trim();
+  if (!trimmed) return "";
+  const limited = Array.from(trimmed).slice(0, 4).join("");
+  return limited || trimmed;
+}
+
+/**
+ * Express middleware that answers 403 for devices an operator has banned.
+ */
+async function rejectBannedDevice(req, res, next) {
+  try {
+    if (await store.isBanned("device", req.deviceId)) {
+      return res.status(403).json({ error: "This device has been banned" });
+    }
+    next();
+  } catch (error) {
+    console.error("Failed to check bans:", error);
+    res.status(500).json({ error: "Failed to check bans" });
+  }
+}
+
+/**
+ * Returns Express middleware that allows `perIp` requests per client IP and
+ * `perDevice` per device within each `windowMs` window, answering 429 with
+ * Retry-After beyond that. `name` keeps separate limits apart.
+ */
+function rateLimit(name, { windowMs, perIp, perDevice }) {
+  return async (req, res, next) => {
+    try {
+      const now = Date.now();
+      const windowStart = now - (now % windowMs);
+      const buckets = [
+        [`${name}:ip:${req.ip}`, perIp],
+        [`${name}:device:${req.deviceId}`, perDevice],
+      ];
+
+      for (const [bucket, limit] of buckets) {
+        const hits = await store.recordRateLimitHit(
+          bucket,
+          windowStart,
+          windowMs,
+        );
+        if (hits > limit) {
+          const retryAfter = Math.ceil((windowStart + windowMs - now) / 1000);
+          res.set("Retry-After", String(retryAfter));
+          return res
+            .status(429)
+            .json({ error: "Too many requests", retryAfter });
+        }
+      }
+      next();
+    } catch (error) {
+      console.error("Failed to check rate limit:", error);
+      res.status(500).json({ error: "Failed to check rate limit" });
+    }
+  };
+}
+
+/**
+ * Hides the admin area entirely unless ADMIN_TOKEN is configured.
+ */
+function requireAdminEnabled(req, res, next) {
+  if (!adminToken) {
+    return res.status(404).end();
+  }
+  next();
+}
+
+/**
+ * Express middleware for /api/admin: requires `Authorization: Bearer` with
+ * the ADMIN_TOKEN secret.
+ */
+function requireAdmin(req, res, next) {
+  if (!adminToken) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  if (!token || !safeEqual(hashToken(token), hashToken(adminToken))) {
+    return res.status(401).json({ error: "Invalid operator token" });
+  }
+  next();
+}
+
+function moderationContext(req) {
+  return { ip: req.ip };
+}
+
+/**
+ * Express middleware that sets `req.deviceId` from the signed device cookie,
+ * issuing a fresh anonymous identity when the cookie is missing or forged.
+ */
+function identifyDevice(req, res, next) {
+  const cookie = readCookie(req, DEVICE_COOKIE);
+  const deviceId = cookie ? verifyDeviceCookie(cookie) : null;
+
+  if (deviceId) {
+    req.deviceId = deviceId;
+    return next();
+  }
+
+  req.deviceId = randomUUID();
+  res.cookie(DEVICE_COOKIE, signDeviceId(req.deviceId), {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    maxAge: DEVICE_COOKIE_MAX_AGE_MS,
+    path: "/",
+  });
+  next();
+}
+
+function signDeviceId(deviceId) {
+  const signature = createHmac("sha256", deviceSecret)
+    .update(deviceId)
+    .digest("base64url");
+  return `${deviceId}.${signature}`;
+}
+
+function verifyDeviceCookie(value) {
+  const [deviceId, signature] = value.split(".");
+  if (!UUID_PATTERN.test(deviceId || "") || !signature) {
+    return null;
+  }
+  return safeEqual(signDeviceId(deviceId), value) ? deviceId : null;
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    if (part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
 }
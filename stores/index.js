@@ -0,0 +1,101 @@
+const { resolveConnectionString } = require("../db");
+
+/**
+ * Everything the server reads or writes goes through a Store, so the app can
+ * run against PostgreSQL in production and without a database locally.
+ * Methods resolve to the shapes documented in server.js (Post, Reply,
+ * ModeratedPost); lookups that find nothing resolve to null.
+ *
+ * @typedef {Object} Store
+ * @property {() => Promise<void>} initialize prepares the schema or state
+ * @property {(now: number) => Promise<string[]>} purgeExpiredPosts deletes
+ *   posts past their expiresAt, except hidden ones, and returns their ids
+ * @property {(query: Object) => Promise<{ posts: Object[], hasMore: boolean }>} queryLivePosts
+ *   one page of live posts in `bounds` (and within `radiusMeters` of
+ *   `center`, when given), with `tag` and created between `from` and `to`
+ *   when given, after `cursor` in `sort` order: newest, most likes, nearest,
+ *   or highest trending score as of `ranking.rankedAt`, ties going to the
+ *   newest. Trending posts carry their `score`
+ * @property {(query: Object) => Promise<Object[]>} searchPosts live posts
+ *   sharing at least `ranking.minRelevance` of the query `grams`, in an area
+ *   if `bounds` is given. Ranked by relevanceWeight * relevance plus the
+ *   rest times a freshness that halves every `ranking.halfLifeMs`; each
+ *   post carries its `relevance`
+ * @property {(query: Object) => Promise<{ tag: string, count: number }[]>} fetchTrendingTags
+ *   the tags on most live posts in an area, ties going to the most recent
+ * @property {(query: Object) => Promise<Object[]>} fetchClusters live posts
+ *   grouped into `cellDegrees` grid cells
+ * @property {(query: Object) => Promise<{ cells: Object[], buckets: Object[] }>} fetchMoodStats
+ *   mood counts of live posts in `bounds`, per `cellDegrees` grid cell
+ *   (`{ cellX, cellY, mood, count }`) and per `bucketMs` time bucket
+ *   shifted by `offsetMs` (`{ start, mood, count }`)
+ * @property {(post: Object) => Promise<Object | null>} createPost resolves
+ *   to null, creating nothing, when the device already made a post with the
+ *   same `idempotencyKey`
+ * @property {(id: string, changes: Object, deviceId: string) => Promise<Object | null>} updatePost
+ * @property {(id: string, deviceId: string) => Promise<Object | null>} attachImage
+ *   marks a live post as having an image and resolves to the updated post
+ * @property {(id: string) => Promise<boolean>} deletePost
+ * @property {(id: string, deviceId: string) => Promise<Object | null>} fetchLivePost
+ *   a live post as a Post, for its own page
+ * @property {(deviceId: string, idempotencyKey: string) => Promise<Object | null>} fetchPostByIdempotencyKey
+ *   the live post a device created with `idempotencyKey`, as a Post
+ * @property {(id: string) => Promise<Object | null>} findLivePost a live
+ *   post with its authorTokenHash, for authorship checks
+ * @property {(id: string, deviceId: string) => Promise<Object | null>} likePost
+ *   resolves to `{ changed, post: { id, likes, lat, lng } }`
+ * @property {(id: string, deviceId: string) => Promise<Object | null>} unlikePost
+ * @property {(id: string, deviceId: string, reason: string, hideThreshold: number) => Promise<{ hidden: boolean } | null>} reportPost
+ * @property {(postId: string, limit: number) => Promise<Object[] | null>} fetchReplies
+ * @property {(reply: Object) => Promise<Object | null>} createReply
+ *   resolves to `{ reply, post: { id, lat, lng, replyCount } }`
+ * @property {(query: Object) => Promise<Object[]>} fetchModeratedPosts
+ * @property {(id: string, context: Object) => Promise<boolean>} restorePost
+ * @property {(id: string, context: Object) => Promise<boolean>} moderatorDeletePost
+ * @property {(ban: Object) => Promise<Object | null>} banPostAuthor
+ * @property {(id: number, context: Object) => Promise<boolean>} liftBan
+ * @property {() => Promise<Object[]>} fetchBans
+ * @property {(target: string, value: string) => Promise<boolean>} isBanned
+ * @property {(limit: number) => Promise<Object[]>} fetchAuditLog
+ * @property {() => Promise<Object[]>} fetchNgWords
+ * @property {(entry: Object, context: Object) => Promise<void>} addNgWord
+ * @property {(word: string, context: Object) => Promise<boolean>} removeNgWord
+ * @property {(bucket: string, windowStart: number, windowMs: number) => Promise<number>} recordRateLimitHit
+ * @property {(now: number) => Promise<number>} purgeRateLimits
+ * @property {(type: string, data: Object) => Promise<void>} publishEvent
+ * @property {(handler: (type: string, data: Object) => void) => Promise<void>} subscribe
+ *   delivers events published by any instance sharing the store
+ * @property {() => Promise<void>} close releases connections, for tests and
+ *   shutdown
+ */
+
+/**
+ * Picks the store from STORE ("postgres" or "memory"). Without STORE,
+ * PostgreSQL is used when a connection string is configured and the
+ * in-memory store otherwise.
+ * @returns {Store}
+ */
+function createStore() {
+  const connectionString = resolveConnectionString();
+  const kind = process.env.STORE || (connectionString ? "postgres" : "memory");
+
+  if (kind === "postgres") {
+    if (!connectionString) {
+      throw new Error(
+        "DATABASE_URL (or DATABASE_INTERNAL_URL / DATABASE_EXTERNAL_URL) must be set to connect to PostgreSQL",
+      );
+    }
+    const { createPostgresStore } = require("./postgres");
+    return createPostgresStore(connectionString);
+  }
+  if (kind === "memory") {
+    console.warn(
+      "Using the in-memory store; data is lost on restart and not shared between instances",
+    );
+    const { createMemoryStore } = require("./memory");
+    return createMemoryStore();
+  }
+  throw new Error(`Unknown STORE "${kind}"; use "postgres" or "memory"`);
+}
+
+module.exports = { createStore };
@@ -0,0 +1,726 @@
+const { EventEmitter } = require("events");
+
+const EARTH_RADIUS_METERS = 6371000;
+// The value each sort order ranks by before falling back to newest first.
+const SORT_VALUES = {
+  likes: (post) => post.likes,
+  distance: (post) => post.distance,
+  trending: (post) => post.score,
+};
+
+/**
+ * A store that keeps everything in process memory, for local development
+ * and tests. Nothing survives a restart and events only reach this process.
+ * @returns {import("./index").Store}
+ */
+function createMemoryStore() {
+  const posts = new Map();
+  // Keyed by post id, like the PostgreSQL tables' foreign keys.
+  const likes = new Map();
+  const replies = new Map();
+  const reports = new Map();
+  const bans = new Map();
+  const ngWords = new Map();
+  const rateLimits = new Map();
+  const auditLog = [];
+  const events = new EventEmitter();
+  let nextBanId = 1;
+  let nextAuditId = 1;
+
+  function isLive(post, now = Date.now()) {
+    return post.expiresAt > now && post.hiddenAt === null;
+  }
+
+  function findLive(id) {
+    const post = posts.get(id);
+    return post && isLive(post) ? post : null;
+  }
+
+  function findByIdempotencyKey(deviceId, idempotencyKey) {
+    return Array.from(posts.values()).find(
+      (post) =>
+        post.deviceId === deviceId && post.idempotencyKey === idempotencyKey,
+    );
+  }
+
+  function removePost(id) {
+    posts.delete(id);
+    likes.delete(id);
+    replies.delete(id);
+    reports.delete(id);
+  }
+
+  function toPost(post, deviceId) {
+    return {
+      id: post.id,
+      lat: post.lat,
+      lng: post.lng,
+      text: post.text,
+      mood: post.mood,
+      timestamp: post.timestamp,
+      expiresAt: post.expiresAt,
+      likes: post.likes,
+      replyCount: replies.get(post.id)?.length || 0,
+      likedByMe: Boolean(deviceId && likes.get(post.id)?.has(deviceId)),
+      editedAt: post.editedAt,
+      hasImage: post.hasImage,
+      tags: [...post.tags],
+    };
+  }
+
+  /**
+   * Live posts, in an area when `bounds` is given, each with its distance from `center` when one is
+   * given.
+   */
+  function liveInArea({ bounds, center, radiusMeters }) {
+    const now = Date.now();
+    const matches = [];
+    posts.forEach((post) => {
+      if (!isLive(post, now)) return;
+      if (bounds && !isWithinBounds(bounds, post)) return;
+      const distance = center ? distanceMeters(center, post) : null;
+      if (center && distance > radiusMeters) return;
+      matches.push({ post, distance });
+    });
+    return matches;
+  }
+
+  function adjustLikes(id, delta) {
+    const post = findLive(id);
+    if (!post) return null;
+    post.likes = Math.max(post.likes + delta, 0);
+    return {
+      changed: delta !== 0,
+      post: { id, likes: post.likes, lat: post.lat, lng: post.lng },
+    };
+  }
+
+  function logModerationAction(action, postId, details) {
+    auditLog.push({
+      id: nextAuditId++,
+      action,
+      postId,
+      details: JSON.parse(JSON.stringify(details)),
+      timestamp: Date.now(),
+    });
+  }
+
+  function reportSummary(postId) {
+    const reasons = {};
+    const entries = reports.get(postId) || new Map();
+    entries.forEach(({ reason }) => {
+      reasons[reason] = (reasons[reason] || 0) + 1;
+    });
+    return { reportCount: entries.size, reportReasons: reasons };
+  }
+
+  return {
+    async initialize() {},
+
+    async purgeExpiredPosts(now) {
+      const ids = [];
+      posts.forEach((post, id) => {
+        // Hidden posts are kept past their lifetime until a moderator reviews them.
+        if (post.expiresAt <= now && post.hiddenAt === null) {
+          ids.push(id);
+        }
+      });
+      ids.forEach(removePost);
+      return ids;
+    },
+
+    async queryLivePosts({
+      bounds,
+      center,
+      radiusMeters,
+      tag,
+      from,
+      to,
+      sort = "newest",
+      ranking,
+      limit,
+      cursor,
+      deviceId,
+    }) {
+      const matches = [];
+      liveInArea({ bounds, center, radiusMeters }).forEach(
+        ({ post, distance }) => {
+          if (tag && !post.tags.includes(tag)) return;
+          if (!isWithinTimeRange(from, to, post)) return;
+
+          const result = toPost(post, deviceId);
+          if (center) {
+            result.distance = distance;
+          }
+          if (sort === "trending") {
+            result.score = trendingScore(post, ranking);
+          }
+          const entry = {
+            result,
+            timestamp: post.timestamp,
+            id: post.id,
+            value: SORT_VALUES[sort]?.(result) ?? null,
+          };
+          if (cursor && comparePostOrder(sort, entry, cursor) >= 0) return;
+          matches.push(entry);
+        },
+      );
+
+      matches.sort((a, b) => comparePostOrder(sort, b, a));
+      return {
+        posts: matches.slice(0, limit).map(({ result }) => result),
+        hasMore: matches.length > limit,
+      };
+    },
+
+    async searchPosts({
+      grams,
+      bounds,
+      center,
+      radiusMeters,
+      ranking,
+      limit,
+      deviceId,
+    }) {
+      const now = Date.now();
+      const matches = [];
+      liveInArea({ bounds, center, radiusMeters }).forEach(
+        ({ post, distance }) => {
+          const matched = grams.filter((gram) => post.grams.has(gram)).length;
+          const relevance = matched / grams.length;
+          if (matched === 0 || relevance < ranking.minRelevance) return;
+
+          const freshness =
+            0.5 ** ((now - post.timestamp) / ranking.halfLifeMs);
+          const result = { ...toPost(post, deviceId), relevance };
+          if (center) {
+            result.distance = distance;
+          }
+          matches.push({
+            result,
+            score:
+              ranking.relevanceWeight * relevance +
+              (1 - ranking.relevanceWeight) * freshness,
+          });
+        },
+      );
+
+      return matches
+        .sort(
+          (a, b) =>
+            b.score - a.score || b.result.timestamp - a.result.timestamp,
+        )
+        .slice(0, limit)
+        .map(({ result }) => result);
+    },
+
+    async fetchTrendingTags({ bounds, center, radiusMeters, limit }) {
+      const tags = new Map();
+      liveInArea({ bounds, center, radiusMeters }).forEach(({ post }) => {
+        post.tags.forEach((tag) => {
+          const entry = tags.get(tag) || { tag, count: 0, latest: 0 };
+          entry.count += 1;
+          entry.latest = Math.max(entry.latest, post.timestamp);
+          tags.set(tag, entry);
+        });
+      });
+
+      return Array.from(tags.values())
+        .sort((a, b) => b.count - a.count || b.latest - a.latest)
+        .slice(0, limit)
+        .map(({ tag, count }) => ({ tag, count }));
+    },
+
+    async fetchClusters({
+      bounds,
+      cellDegrees,
+      tag = null,
+      from = null,
+      to = null,
+      limit,
+    }) {
+      const now = Date.now();
+      const cells = new Map();
+      posts.forEach((post) => {
+        if (!isLive(post, now) || !isWithinBounds(bounds, post)) return;
+        if (tag && !post.tags.includes(tag)) return;
+        if (!isWithinTimeRange(from, to, post)) return;
+        const cellX = Math.floor(post.lng / cellDegrees);
+        const cellY = Math.floor(post.lat / cellDegrees);
+        const key = `${cellX}:${cellY}`;
+        if (!cells.has(key)) {
+          cells.set(key, { cellX, cellY, posts: [] });
+        }
+        cells.get(key).posts.push(post);
+      });
+
+      return Array.from(cells.values())
+        .map(({ cellX, cellY, posts: cellPosts }) => ({
+          cellX,
+          cellY,
+          lat: average(cellPosts.map((post) => post.lat)),
+          lng: average(cellPosts.map((post) => post.lng)),
+          count: cellPosts.length,
+          mood: mostCommon(cellPosts.map((post) => post.mood)),
+          likes: cellPosts.reduce((sum, post) => sum + post.likes, 0),
+          bounds: {
+            minLat: Math.min(...cellPosts.map((post) => post.lat)),
+            maxLat: Math.max(...cellPosts.map((post) => post.lat)),
+            minLng: Math.min(...cellPosts.map((post) => post.lng)),
+            maxLng: Math.max(...cellPosts.map((post) => post.lng)),
+          },
+        }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit);
+    },
+
+    async fetchMoodStats({ bounds, cellDegrees, bucketMs, offsetMs }) {
+      const cells = new Map();
+      const buckets = new Map();
+      const count = (groups, key, entry) => {
+        if (!groups.has(key)) {
+          groups.set(key, { ...entry, count: 0 });
+        }
+        groups.get(key).count += 1;
+      };
+
+      liveInArea({ bounds }).forEach(({ post }) => {
+        if (!post.mood) return;
+        const cellX = Math.floor(post.lng / cellDegrees);
+        const cellY = Math.floor(post.lat / cellDegrees);
+        const start =
+          Math.floor((post.timestamp + offsetMs) / bucketMs) * bucketMs -
+          offsetMs;
+        count(cells, `${cellX}:${cellY}:${post.mood}`, {
+          cellX,
+          cellY,
+          mood: post.mood,
+        });
+        count(buckets, `${start}:${post.mood}`, { start, mood: post.mood });
+      });
+
+      return {
+        cells: Array.from(cells.values()),
+        buckets: Array.from(buckets.values()),
+      };
+    },
+
+    async createPost(post) {
+      const stored = {
+        id: post.id,
+        lat: post.lat,
+        lng: post.lng,
+        text: post.text,
+        mood: post.mood,
+        timestamp: post.timestamp,
+        expiresAt: post.expiresAt,
+        likes: post.likes,
+        editedAt: null,
+        hasImage: false,
+        tags: [...post.tags],
+        grams: new Set(post.grams),
+        hiddenAt: null,
+        authorTokenHash: post.authorTokenHash || null,
+        deviceId: post.deviceId || null,
+        idempotencyKey: post.idempotencyKey || null,
+      };
+      if (
+        stored.idempotencyKey &&
+        findByIdempotencyKey(stored.deviceId, stored.idempotencyKey)
+      ) {
+        return null;
+      }
+      posts.set(post.id, stored);
+      return toPost(stored);
+    },
+
+    async updatePost(id, changes, deviceId) {
+      const post = posts.get(id);
+      if (!post) return null;
+      ["lat", "lng", "text", "mood", "tags"].forEach((key) => {
+        if (changes[key] !== undefined) {
+          post[key] = changes[key];
+        }
+      });
+      if (changes.grams !== undefined) {
+        post.grams = new Set(changes.grams);
+      }
+      post.editedAt = Date.now();
+      return toPost(post, deviceId);
+    },
+
+    async attachImage(id, deviceId) {
+      const post = findLive(id);
+      if (!post) return null;
+      post.hasImage = true;
+      return toPost(post, deviceId);
+    },
+
+    async deletePost(id) {
+      if (!posts.has(id)) return false;
+      removePost(id);
+      return true;
+    },
+
+    async fetchLivePost(id, deviceId) {
+      const post = findLive(id);
+      return post ? toPost(post, deviceId) : null;
+    },
+
+    async fetchPostByIdempotencyKey(deviceId, idempotencyKey) {
+      const post = findByIdempotencyKey(deviceId, idempotencyKey);
+      return post && isLive(post) ? toPost(post, deviceId) : null;
+    },
+
+    async findLivePost(id) {
+      const post = findLive(id);
+      if (!post) return null;
+      return {
+        id: post.id,
+        text: post.text,
+        mood: post.mood,
+        timestamp: post.timestamp,
+        hasImage: post.hasImage,
+        authorTokenHash: post.authorTokenHash,
+      };
+    },
+
+    async likePost(id, deviceId) {
+      if (!findLive(id)) return null;
+      if (!likes.has(id)) likes.set(id, new Set());
+      const devices = likes.get(id);
+      const added = !devices.has(deviceId);
+      devices.add(deviceId);
+      return adjustLikes(id, added ? 1 : 0);
+    },
+
+    async unlikePost(id, deviceId) {
+      if (!findLive(id)) return null;
+      const removed = Boolean(likes.get(id)?.delete(deviceId));
+      return adjustLikes(id, removed ? -1 : 0);
+    },
+
+    async reportPost(id, deviceId, reason, hideThreshold) {
+      const post = findLive(id);
+      if (!post) return null;
+
+      if (!reports.has(id)) reports.set(id, new Map());
+      const entries = reports.get(id);
+      if (!entries.has(deviceId)) {
+        entries.set(deviceId, { reason, timestamp: Date.now() });
+      }
+      if (entries.size < hideThreshold) {
+        return { hidden: false };
+      }
+      post.hiddenAt = Date.now();
+      return { hidden: true };
+    },
+
+    async fetchReplies(postId, limit) {
+      if (!findLive(postId)) return null;
+      return (replies.get(postId) || [])
+        .slice(0, limit)
+        .map((reply) => ({ ...reply }));
+    },
+
+    async createReply(reply) {
+      const post = findLive(reply.postId);
+      if (!post) return null;
+      if (!replies.has(post.id)) replies.set(post.id, []);
+      const thread = replies.get(post.id);
+      const stored = {
+        id: reply.id,
+        postId: post.id,
+        text: reply.text,
+        timestamp: reply.timestamp,
+      };
+      thread.push(stored);
+      return {
+        reply: { ...stored },
+        post: {
+          id: post.id,
+          lat: post.lat,
+          lng: post.lng,
+          replyCount: thread.length,
+        },
+      };
+    },
+
+    async fetchModeratedPosts({ queueOnly = false, bounds, from, to, limit }) {
+      return Array.from(posts.values())
+        .filter((post) => {
+          const flagged = post.hiddenAt !== null || reports.get(post.id)?.size;
+          if (queueOnly && !flagged) return false;
+          if (bounds && !isWithinBounds(bounds, post)) return false;
+          if (!isWithinTimeRange(from, to, post)) return false;
+          return true;
+        })
+        .map((post) => ({
+          ...toPost(post),
+          hiddenAt: post.hiddenAt,
+          ...reportSummary(post.id),
+        }))
+        .sort((a, b) => {
+          if (queueOnly) {
+            const hiddenOrder = (b.hiddenAt !== null) - (a.hiddenAt !== null);
+            if (hiddenOrder) return hiddenOrder;
+            if (b.reportCount !== a.reportCount) {
+              return b.reportCount - a.reportCount;
+            }
+          }
+          return b.timestamp - a.timestamp;
+        })
+        .slice(0, limit);
+    },
+
+    async restorePost(id, context) {
+      const post = posts.get(id);
+      if (!post) return false;
+      post.hiddenAt = null;
+      reports.delete(id);
+      logModerationAction("restore", id, context);
+      return true;
+    },
+
+    async moderatorDeletePost(id, context) {
+      const post = posts.get(id);
+      if (!post) return false;
+      removePost(id);
+      // Keep what was removed, since the post itself is gone.
+      logModerationAction("delete", id, {
+        ...context,
+        post: {
+          text: post.text,
+          mood: post.mood,
+          lat: post.lat,
+          lng: post.lng,
+        },
+      });
+      return true;
+    },
+
+    async banPostAuthor({ postId, target, reason, context }) {
+      const post = posts.get(postId);
+      const value =
+        target === "device" ? post?.deviceId : post?.authorTokenHash;
+      if (!value) return null;
+
+      let ban = Array.from(bans.values()).find(
+        (entry) => entry.target === target && entry.value === value,
+      );
+      if (ban) {
+        ban.reason = reason;
+        ban.postId = postId;
+      } else {
+        ban = {
+          id: nextBanId++,
+          target,
+          value,
+          postId,
+          reason,
+          timestamp: Date.now(),
+        };
+        bans.set(ban.id, ban);
+      }
+      logModerationAction("ban", postId, {
+        ...context,
+        target,
+        banId: ban.id,
+        reason,
+      });
+      return toBan(ban);
+    },
+
+    async liftBan(id, context) {
+      const ban = bans.get(id);
+      if (!ban) return false;
+      bans.delete(id);
+      logModerationAction("unban", ban.postId, {
+        ...context,
+        target: ban.target,
+        banId: id,
+      });
+      return true;
+    },
+
+    async fetchBans() {
+      return Array.from(bans.values())
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .map(toBan);
+    },
+
+    async isBanned(target, value) {
+      if (!value) return false;
+      return Array.from(bans.values()).some(
+        (ban) => ban.target === target && ban.value === value,
+      );
+    },
+
+    async fetchAuditLog(limit) {
+      return auditLog
+        .slice(-limit)
+        .reverse()
+        .map((entry) => ({ ...entry }));
+    },
+
+    async fetchNgWords() {
+      return Array.from(ngWords.values())
+        .sort((a, b) => (a.word < b.word ? -1 : a.word > b.word ? 1 : 0))
+        .map((entry) => ({ ...entry }));
+    },
+
+    async addNgWord({ word, normalized, timestamp }, context) {
+      if (!ngWords.has(word)) {
+        ngWords.set(word, { word, normalized, timestamp });
+      }
+      logModerationAction("ng_word_add", null, { ...context, word });
+    },
+
+    async removeNgWord(word, context) {
+      if (!ngWords.delete(word)) return false;
+      logModerationAction("ng_word_remove", null, { ...context, word });
+      return true;
+    },
+
+    async recordRateLimitHit(bucket, windowStart, windowMs) {
+      const entry = rateLimits.get(bucket);
+      if (entry && entry.windowStart === windowStart) {
+        entry.hits += 1;
+        return entry.hits;
+      }
+      rateLimits.set(bucket, {
+        windowStart,
+        expiresAt: windowStart + windowMs,
+        hits: 1,
+      });
+      return 1;
+    },
+
+    async purgeRateLimits(now) {
+      let removed = 0;
+      rateLimits.forEach((entry, bucket) => {
+        if (entry.expiresAt < now) {
+          rateLimits.delete(bucket);
+          removed += 1;
+        }
+      });
+      return removed;
+    },
+
+    async publishEvent(type, data) {
+      // Delivered asynchronously, as a NOTIFY would be.
+      setImmediate(() => events.emit("post", type, data));
+    },
+
+    async subscribe(handler) {
+      events.on("post", handler);
+    },
+
+    async close() {
+      events.removeAllListeners();
+    },
+  };
+}
+
+/**
+ * Orders posts newest first by (timestamp, id), the same order and cursor
+ * semantics as the PostgreSQL store. Positive when `a` is newer.
+ */
+function compareNewestFirst(a, b) {
+  if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Orders `a` against `b`, each with the `value` being sorted on, the same
+ * way as the PostgreSQL store: most likes, nearest or highest score first,
+ * then newest first. Positive when `a` comes first.
+ */
+function comparePostOrder(sort, a, b) {
+  if (sort !== "newest" && a.value !== b.value) {
+    return sort === "distance" ? b.value - a.value : a.value - b.value;
+  }
+  return compareNewestFirst(a, b);
+}
+
+function trendingScore(post, { gravity, ageOffsetHours, rankedAt }) {
+  const ageHours = Math.max(rankedAt - post.timestamp, 0) / 3600000;
+  return (post.likes + 1) / (ageHours + ageOffsetHours) ** gravity;
+}
+
+function isWithinBounds(bounds, { lat, lng }) {
+  return (
+    lat >= bounds.minLat &&
+    lat <= bounds.maxLat &&
+    lng >= bounds.minLng &&
+    lng <= bounds.maxLng
+  );
+}
+
+function isWithinTimeRange(from, to, { timestamp }) {
+  return (from == null || timestamp >= from) && (to == null || timestamp <= to);
+}
+
+function distanceMeters(from, to) {
+  const toRad = (value) => (value * Math.PI) / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.lat)) *
+      Math.cos(toRad(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * The most frequent non-null value, ties going to the smallest by code
+ * point, as the PostgreSQL store's `mode()` picks them.
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.forEach((value) => {
+    if (value !== null) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  let best = null;
+  counts.forEach((count, value) => {
+    const bestCount = counts.get(best);
+    if (best === null || count > bestCount) {
+      best = value;
+    } else if (count === bestCount && compareCodePoints(value, best) < 0) {
+      best = value;
+    }
+  });
+  return best;
+}
+
+/**
+ * Orders strings by code point, as PostgreSQL's "C" collation orders UTF-8
+ * text. Comparing with `<` would go by UTF-16 code units instead, which puts
+ * characters past U+FFFF before ones from U+E000 up.
+ */
+function compareCodePoints(a, b) {
+  const left = Array.from(a);
+  const right = Array.from(b);
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const difference = left[i].codePointAt(0) - right[i].codePointAt(0);
+    if (difference !== 0) return difference;
+  }
+  return left.length - right.length;
+}
+
+function toBan(ban) {
+  return {
+    id: ban.id,
+    target: ban.target,
+    postId: ban.postId,
+    reason: ban.reason,
+    timestamp: ban.timestamp,
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,1120 @@
+const { createPool } = require("../db");
+const { runMigrations } = require("../migrate");
+
+const POST_EVENTS_CHANNEL = "post_events";
+const LISTEN_RETRY_MS = 5000;
+const EARTH_RADIUS_METERS = 6371000;
+const REPLY_COUNT_SQL =
+  "(SELECT count(*) FROM replies WHERE replies.post_id = posts.id)";
+const TAGS_SQL = `(
+  SELECT coalesce(array_agg(tag ORDER BY position), '{}') FROM post_tags
+  WHERE post_tags.post_id = posts.id
+)`;
+// The column each sort order ranks by before falling back to newest first.
+const POST_ORDERS = {
+  newest: { column: null },
+  likes: { column: "likes", direction: "DESC" },
+  distance: { column: "distance", direction: "ASC" },
+  trending: { column: "score", direction: "DESC" },
+};
+
+// NOTIFY payloads must stay under 8000 bytes; this many UUIDs take about 4000.
+const EXPIRED_IDS_PER_EVENT = 100;
+
+const MODERATED_POST_COLUMNS = `
+  id, lat, lng, text, mood, timestamp, expires_at, likes, edited_at, hidden_at,
+  has_image,
+  ${REPLY_COUNT_SQL} AS reply_count,
+  ${TAGS_SQL} AS tags,
+  (SELECT count(*) FROM reports WHERE reports.post_id = posts.id)
+    AS report_count,
+  (
+    SELECT jsonb_object_agg(reason, total) FROM (
+      SELECT reason, count(*) AS total FROM reports
+      WHERE reports.post_id = posts.id
+      GROUP BY reason
+    ) AS reasons
+  ) AS report_reasons
+`;
+
+/**
+ * The PostgreSQL store. Schema changes live in migrations/ and are applied
+ * by `initialize`; post events travel over LISTEN/NOTIFY so every instance
+ * sees them.
+ * @returns {import("./index").Store}
+ */
+function createPostgresStore(connectionString) {
+  const pool = createPool(connectionString);
+  const listeners = new Set();
+  let closed = false;
+
+  async function withTransaction(work) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function logModerationAction(client, action, postId, details) {
+    await client.query(
+      `
+        INSERT INTO moderation_log (action, post_id, details, timestamp)
+        VALUES ($1, $2, $3, $4)
+      `,
+      [action, postId, JSON.stringify(details), Date.now()],
+    );
+  }
+
+  async function replaceTags(client, postId, tags) {
+    await client.query("DELETE FROM post_tags WHERE post_id = $1", [postId]);
+    await client.query(
+      `
+        INSERT INTO post_tags (post_id, tag, position)
+        SELECT $1::uuid, tag, position - 1
+        FROM unnest($2::text[]) WITH ORDINALITY AS t (tag, position)
+      `,
+      [postId, tags],
+    );
+  }
+
+  async function replaceGrams(client, postId, grams) {
+    await client.query("DELETE FROM post_ngrams WHERE post_id = $1", [postId]);
+    await client.query(
+      `
+        INSERT INTO post_ngrams (post_id, gram)
+        SELECT $1::uuid, gram FROM unnest($2::text[]) AS t (gram)
+      `,
+      [postId, grams],
+    );
+  }
+
+  async function adjustLikes(client, id, delta) {
+    const { rows } = await client.query(
+      `
+        UPDATE posts SET likes = GREATEST(likes + $2, 0)
+        WHERE id = $1 AND expires_at > $3 AND hidden_at IS NULL
+        RETURNING id, likes, lat, lng
+      `,
+      [id, delta, Date.now()],
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    return {
+      changed: delta !== 0,
+      post: {
+        id: rows[0].id,
+        likes: Number(rows[0].likes),
+        lat: Number(rows[0].lat),
+        lng: Number(rows[0].lng),
+      },
+    };
+  }
+
+  /**
+   * Holds one pooled connection in LISTEN mode and hands notifications to
+   * `handler`. Reconnects if the connection drops.
+   */
+  async function listen(handler) {
+    const client = await pool.connect();
+    let released = false;
+    listeners.add(client);
+
+    client.on("notification", (message) => {
+      try {
+        const { type, data } = JSON.parse(message.payload);
+        handler(type, data);
+      } catch (error) {
+        console.warn("Ignoring malformed post event:", error);
+      }
+    });
+    client.on("error", (error) => {
+      console.warn("Post event listener disconnected:", error);
+      if (released) return;
+      released = true;
+      listeners.delete(client);
+      client.release(error);
+      if (closed) return;
+      setTimeout(() => {
+        listen(handler).catch((retryError) =>
+          console.warn("Failed to restart post event listener:", retryError),
+        );
+      }, LISTEN_RETRY_MS);
+    });
+
+    await client.query(`LISTEN ${POST_EVENTS_CHANNEL}`);
+  }
+
+  return {
+    async initialize() {
+      await runMigrations(pool);
+    },
+
+    async purgeExpiredPosts(now) {
+      // Hidden posts are kept past their lifetime until a moderator reviews them.
+      const { rows } = await pool.query(
+        "DELETE FROM posts WHERE expires_at <= $1 AND hidden_at IS NULL RETURNING id",
+        [now],
+      );
+      return rows.map((row) => row.id);
+    },
+
+    async queryLivePosts({
+      bounds,
+      center,
+      radiusMeters,
+      tag,
+      from,
+      to,
+      sort = "newest",
+      ranking,
+      limit,
+      cursor,
+      deviceId,
+    }) {
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const { distanceSql, conditions, outerConditions } = liveAreaSql(param, {
+        bounds,
+        center,
+        radiusMeters,
+      });
+      if (tag) {
+        conditions.push(hasTagSql(param(tag)));
+      }
+      if (from != null) {
+        conditions.push(`timestamp >= ${param(from)}`);
+      }
+      if (to != null) {
+        conditions.push(`timestamp <= ${param(to)}`);
+      }
+      const scoreSql =
+        sort === "trending"
+          ? trendingScoreSql(param, ranking)
+          : "NULL::double precision";
+      const order = POST_ORDERS[sort];
+      if (cursor) {
+        outerConditions.push(afterCursorSql(param, order, cursor));
+      }
+
+      const { rows } = await pool.query(
+        `
+          SELECT * FROM (
+            SELECT id, lat, lng, text, mood, timestamp, expires_at, likes,
+              edited_at, has_image,
+              ${REPLY_COUNT_SQL} AS reply_count,
+              ${TAGS_SQL} AS tags,
+              ${likedBySql(param(deviceId))} AS liked_by_me,
+              ${distanceSql} AS distance,
+              ${scoreSql} AS score
+            FROM posts
+            WHERE ${conditions.join(" AND ")}
+          ) AS candidates
+          ${outerConditions.length ? `WHERE ${outerConditions.join(" AND ")}` : ""}
+          ORDER BY ${order.column ? `${order.column} ${order.direction}, ` : ""}
+            timestamp DESC, id DESC
+          LIMIT ${param(limit + 1)}
+        `,
+        params,
+      );
+
+      return {
+        posts: rows.slice(0, limit).map((row) => {
+          const post = normalizeRow(row);
+          if (row.score != null) {
+            post.score = Number(row.score);
+          }
+          return post;
+        }),
+        hasMore: rows.length > limit,
+      };
+    },
+
+    async searchPosts({
+      grams,
+      bounds,
+      center,
+      radiusMeters,
+      ranking,
+      limit,
+      deviceId,
+    }) {
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const { distanceSql, conditions, outerConditions } = liveAreaSql(param, {
+        bounds,
+        center,
+        radiusMeters,
+      });
+      const ageSql = `(${param(Date.now())}::bigint - timestamp)`;
+      const halfLife = `${param(ranking.halfLifeMs)}::double precision`;
+      const relevanceWeight = `${param(ranking.relevanceWeight)}::double precision`;
+
+      const { rows } = await pool.query(
+        `
+          SELECT * FROM (
+            SELECT id, lat, lng, text, mood, timestamp, expires_at, likes,
+              edited_at, has_image,
+              ${REPLY_COUNT_SQL} AS reply_count,
+              ${TAGS_SQL} AS tags,
+              ${likedBySql(param(deviceId))} AS liked_by_me,
+              ${distanceSql} AS distance,
+              matches.matched::double precision / ${param(grams.length)}
+                AS relevance,
+              power(0.5, ${ageSql} / ${halfLife}) AS freshness
+            FROM (
+              SELECT post_id, count(*) AS matched FROM post_ngrams
+              WHERE gram = ANY(${param(grams)})
+              GROUP BY post_id
+            ) AS matches
+            JOIN posts ON posts.id = matches.post_id
+            WHERE ${conditions.join(" AND ")}
+          ) AS candidates
+          WHERE ${[
+            `relevance >= ${param(ranking.minRelevance)}`,
+            ...outerConditions,
+          ].join(" AND ")}
+          ORDER BY ${relevanceWeight} * relevance
+            + (1 - ${relevanceWeight}) * freshness DESC,
+            timestamp DESC
+          LIMIT ${param(limit)}
+        `,
+        params,
+      );
+
+      return rows.map((row) => ({
+        ...normalizeRow(row),
+        relevance: Number(row.relevance),
+      }));
+    },
+
+    async fetchTrendingTags({ bounds, center, radiusMeters, limit }) {
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const { distanceSql, conditions, outerConditions } = liveAreaSql(param, {
+        bounds,
+        center,
+        radiusMeters,
+      });
+
+      const { rows } = await pool.query(
+        `
+          SELECT tag, count(*) AS count, max(timestamp) AS latest
+          FROM (
+            SELECT id, timestamp, ${distanceSql} AS distance
+            FROM posts
+            WHERE ${conditions.join(" AND ")}
+          ) AS candidates
+          JOIN post_tags ON post_tags.post_id = candidates.id
+          ${outerConditions.length ? `WHERE ${outerConditions.join(" AND ")}` : ""}
+          GROUP BY tag
+          ORDER BY count DESC, latest DESC
+          LIMIT ${param(limit)}
+        `,
+        params,
+      );
+
+      return rows.map((row) => ({ tag: row.tag, count: Number(row.count) }));
+    },
+
+    async fetchClusters({
+      bounds,
+      cellDegrees,
+      tag = null,
+      from = null,
+      to = null,
+      limit,
+    }) {
+      const { rows } = await pool.query(
+        `
+          SELECT
+            floor(lng / $1) AS cell_x,
+            floor(lat / $1) AS cell_y,
+            count(*) AS count,
+            avg(lat) AS lat,
+            avg(lng) AS lng,
+            min(lat) AS min_lat,
+            max(lat) AS max_lat,
+            min(lng) AS min_lng,
+            max(lng) AS max_lng,
+            sum(likes) AS likes,
+            -- Ties go to the smallest mood by code point, as in the memory store.
+            mode() WITHIN GROUP (ORDER BY mood COLLATE "C")
+              FILTER (WHERE mood IS NOT NULL) AS mood
+          FROM posts
+          WHERE expires_at > $2
+            AND hidden_at IS NULL
+            AND lat BETWEEN $3 AND $4
+            AND lng BETWEEN $5 AND $6
+            AND ($8::text IS NULL OR ${hasTagSql("$8")})
+            AND ($9::bigint IS NULL OR timestamp >= $9)
+            AND ($10::bigint IS NULL OR timestamp <= $10)
+          GROUP BY cell_x, cell_y
+          ORDER BY count DESC
+          LIMIT $7
+        `,
+        [
+          cellDegrees,
+          Date.now(),
+          bounds.minLat,
+          bounds.maxLat,
+          bounds.minLng,
+          bounds.maxLng,
+          limit,
+          tag,
+          from,
+          to,
+        ],
+      );
+
+      return rows.map((row) => ({
+        cellX: Number(row.cell_x),
+        cellY: Number(row.cell_y),
+        lat: Number(row.lat),
+        lng: Number(row.lng),
+        count: Number(row.count),
+        mood: row.mood || null,
+        likes: Number(row.likes) || 0,
+        bounds: {
+          minLat: Number(row.min_lat),
+          maxLat: Number(row.max_lat),
+          minLng: Number(row.min_lng),
+          maxLng: Number(row.max_lng),
+        },
+      }));
+    },
+
+    async fetchMoodStats({ bounds, cellDegrees, bucketMs, offsetMs }) {
+      const area = `
+        expires_at > $1
+        AND hidden_at IS NULL
+        AND mood IS NOT NULL
+        AND lat BETWEEN $2 AND $3
+        AND lng BETWEEN $4 AND $5
+      `;
+      const areaParams = [
+        Date.now(),
+        bounds.minLat,
+        bounds.maxLat,
+        bounds.minLng,
+        bounds.maxLng,
+      ];
+
+      const [cells, buckets] = await Promise.all([
+        pool.query(
+          `
+            SELECT floor(lng / $6) AS cell_x, floor(lat / $6) AS cell_y,
+              mood, count(*) AS count
+            FROM posts
+            WHERE ${area}
+            GROUP BY cell_x, cell_y, mood
+          `,
+          [...areaParams, cellDegrees],
+        ),
+        // Buckets start on multiples of bucketMs in local time.
+        pool.query(
+          `
+            SELECT (timestamp + $6::bigint) / $7::bigint * $7::bigint
+                - $6::bigint AS start,
+              mood, count(*) AS count
+            FROM posts
+            WHERE ${area}
+            GROUP BY start, mood
+          `,
+          [...areaParams, offsetMs, bucketMs],
+        ),
+      ]);
+
+      return {
+        cells: cells.rows.map((row) => ({
+          cellX: Number(row.cell_x),
+          cellY: Number(row.cell_y),
+          mood: row.mood,
+          count: Number(row.count),
+        })),
+        buckets: buckets.rows.map((row) => ({
+          start: Number(row.start),
+          mood: row.mood,
+          count: Number(row.count),
+        })),
+      };
+    },
+
+    async createPost(post) {
+      return withTransaction(async (client) => {
+        const { rows } = await client.query(
+          `
+            INSERT INTO posts
+              (id, lat, lng, text, mood, timestamp, expires_at, likes,
+                author_token_hash, device_id, idempotency_key)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            ON CONFLICT (device_id, idempotency_key)
+              WHERE idempotency_key IS NOT NULL DO NOTHING
+            RETURNING id, lat, lng, text, mood, timestamp, expires_at, likes,
+              edited_at, has_image
+          `,
+          [
+            post.id,
+            post.lat,
+            post.lng,
+            post.text,
+            post.mood,
+            post.timestamp,
+            post.expiresAt,
+            post.likes,
+            post.authorTokenHash,
+            post.deviceId,
+            post.idempotencyKey || null,
+          ],
+        );
+        if (rows.length === 0) {
+          return null;
+        }
+        await replaceTags(client, post.id, post.tags);
+        await replaceGrams(client, post.id, post.grams);
+
+        return { ...normalizeRow(rows[0]), tags: post.tags };
+      });
+    },
+
+    async updatePost(id, changes, deviceId) {
+      const params = [id, Date.now()];
+      const assignments = ["edited_at = $2"];
+      ["lat", "lng", "text", "mood"].forEach((column) => {
+        if (changes[column] !== undefined) {
+          params.push(changes[column]);
+          assignments.push(`${column} = $${params.length}`);
+        }
+      });
+      params.push(deviceId);
+
+      return withTransaction(async (client) => {
+        if (changes.tags !== undefined) {
+          await replaceTags(client, id, changes.tags);
+        }
+        if (changes.grams !== undefined) {
+          await replaceGrams(client, id, changes.grams);
+        }
+        const { rows } = await client.query(
+          `
+            UPDATE posts SET ${assignments.join(", ")}
+            WHERE id = $1
+            RETURNING id, lat, lng, text, mood, timestamp, expires_at, likes,
+              edited_at, has_image, ${REPLY_COUNT_SQL} AS reply_count,
+              ${TAGS_SQL} AS tags,
+              ${likedBySql(`$${params.length}`)} AS liked_by_me
+          `,
+          params,
+        );
+
+        return rows.length ? normalizeRow(rows[0]) : null;
+      });
+    },
+
+    async attachImage(id, deviceId) {
+      const { rows } = await pool.query(
+        `
+          UPDATE posts SET has_image = true
+          WHERE id = $1 AND expires_at > $2 AND hidden_at IS NULL
+          RETURNING id, lat, lng, text, mood, timestamp, expires_at, likes,
+            edited_at, has_image, ${REPLY_COUNT_SQL} AS reply_count,
+            ${TAGS_SQL} AS tags, ${likedBySql("$3")} AS liked_by_me
+        `,
+        [id, Date.now(), deviceId],
+      );
+
+      return rows.length ? normalizeRow(rows[0]) : null;
+    },
+
+    async deletePost(id) {
+      const result = await pool.query("DELETE FROM posts WHERE id = $1", [id]);
+      return result.rowCount > 0;
+    },
+
+    async fetchLivePost(id, deviceId) {
+      const { rows } = await pool.query(
+        `
+          SELECT id, lat, lng, text, mood, timestamp, expires_at, likes,
+            edited_at, has_image, ${REPLY_COUNT_SQL} AS reply_count,
+            ${TAGS_SQL} AS tags, ${likedBySql("$3")} AS liked_by_me
+          FROM posts
+          WHERE id = $1 AND expires_at > $2 AND hidden_at IS NULL
+        `,
+        [id, Date.now(), deviceId],
+      );
+
+      return rows.length ? normalizeRow(rows[0]) : null;
+    },
+
+    async fetchPostByIdempotencyKey(deviceId, idempotencyKey) {
+      const { rows } = await pool.query(
+        `
+          SELECT id, lat, lng, text, mood, timestamp, expires_at, likes,
+            edited_at, has_image, ${REPLY_COUNT_SQL} AS reply_count,
+            ${TAGS_SQL} AS tags, ${likedBySql("$1")} AS liked_by_me
+          FROM posts
+          WHERE device_id = $1 AND idempotency_key = $2
+            AND expires_at > $3 AND hidden_at IS NULL
+        `,
+        [deviceId, idempotencyKey, Date.now()],
+      );
+
+      return rows.length ? normalizeRow(rows[0]) : null;
+    },
+
+    async findLivePost(id) {
+      const { rows } = await pool.query(
+        `
+          SELECT id, text, mood, timestamp, has_image, author_token_hash
+          FROM posts
+          WHERE id = $1 AND expires_at > $2 AND hidden_at IS NULL
+        `,
+        [id, Date.now()],
+      );
+      if (rows.length === 0) {
+        return null;
+      }
+      return {
+        id: rows[0].id,
+        text: rows[0].text,
+        mood: rows[0].mood,
+        timestamp: Number(rows[0].timestamp),
+        hasImage: rows[0].has_image === true,
+        authorTokenHash: rows[0].author_token_hash,
+      };
+    },
+
+    async likePost(id, deviceId) {
+      return withTransaction(async (client) => {
+        const { rowCount } = await client.query(
+          `
+            INSERT INTO likes (post_id, device_id, timestamp)
+            SELECT id, $2, $3 FROM posts
+            WHERE id = $1 AND expires_at > $3 AND hidden_at IS NULL
+            ON CONFLICT DO NOTHING
+          `,
+          [id, deviceId, Date.now()],
+        );
+        return adjustLikes(client, id, rowCount > 0 ? 1 : 0);
+      });
+    },
+
+    async unlikePost(id, deviceId) {
+      return withTransaction(async (client) => {
+        const { rowCount } = await client.query(
+          `
+            DELETE FROM likes USING posts
+            WHERE likes.post_id = $1 AND likes.device_id = $2
+              AND posts.id = likes.post_id
+              AND posts.expires_at > $3 AND posts.hidden_at IS NULL
+          `,
+          [id, deviceId, Date.now()],
+        );
+        return adjustLikes(client, id, rowCount > 0 ? -1 : 0);
+      });
+    },
+
+    async reportPost(id, deviceId, reason, hideThreshold) {
+      return withTransaction(async (client) => {
+        const { rows } = await client.query(
+          `
+            SELECT id FROM posts
+            WHERE id = $1 AND expires_at > $2 AND hidden_at IS NULL
+            FOR UPDATE
+          `,
+          [id, Date.now()],
+        );
+        if (rows.length === 0) {
+          return null;
+        }
+
+        await client.query(
+          `
+            INSERT INTO reports (post_id, device_id, reason, timestamp)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT DO NOTHING
+          `,
+          [id, deviceId, reason, Date.now()],
+        );
+
+        const { rows: counts } = await client.query(
+          "SELECT count(*) AS count FROM reports WHERE post_id = $1",
+          [id],
+        );
+        if (Number(counts[0].count) < hideThreshold) {
+          return { hidden: false };
+        }
+
+        await client.query("UPDATE posts SET hidden_at = $2 WHERE id = $1", [
+          id,
+          Date.now(),
+        ]);
+        return { hidden: true };
+      });
+    },
+
+    async fetchReplies(postId, limit) {
+      const { rows: posts } = await pool.query(
+        "SELECT id FROM posts WHERE id = $1 AND expires_at > $2 AND hidden_at IS NULL",
+        [postId, Date.now()],
+      );
+      if (posts.length === 0) {
+        return null;
+      }
+
+      const { rows } = await pool.query(
+        `
+          SELECT id, post_id, text, timestamp
+          FROM replies
+          WHERE post_id = $1
+          ORDER BY timestamp ASC, id ASC
+          LIMIT $2
+        `,
+        [postId, limit],
+      );
+      return rows.map(normalizeReplyRow);
+    },
+
+    async createReply(reply) {
+      const { rows } = await pool.query(
+        `
+          INSERT INTO replies (id, post_id, text, timestamp)
+          SELECT $1, id, $3, $4
+          FROM posts
+          WHERE id = $2 AND expires_at > $4 AND hidden_at IS NULL
+          RETURNING id, post_id, text, timestamp
+        `,
+        [reply.id, reply.postId, reply.text, reply.timestamp],
+      );
+      if (rows.length === 0) {
+        return null;
+      }
+
+      const { rows: posts } = await pool.query(
+        `SELECT id, lat, lng, ${REPLY_COUNT_SQL} AS reply_count FROM posts WHERE id = $1`,
+        [reply.postId],
+      );
+
+      return {
+        reply: normalizeReplyRow(rows[0]),
+        post: {
+          id: posts[0].id,
+          lat: Number(posts[0].lat),
+          lng: Number(posts[0].lng),
+          replyCount: Number(posts[0].reply_count),
+        },
+      };
+    },
+
+    async fetchModeratedPosts({ queueOnly = false, bounds, from, to, limit }) {
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      const conditions = [];
+      if (queueOnly) {
+        conditions.push(`(
+          hidden_at IS NOT NULL OR
+          EXISTS (SELECT 1 FROM reports WHERE reports.post_id = posts.id)
+        )`);
+      }
+      if (bounds) {
+        conditions.push(
+          `lat BETWEEN ${param(bounds.minLat)} AND ${param(bounds.maxLat)}`,
+          `lng BETWEEN ${param(bounds.minLng)} AND ${param(bounds.maxLng)}`,
+        );
+      }
+      if (from != null) {
+        conditions.push(`timestamp >= ${param(from)}`);
+      }
+      if (to != null) {
+        conditions.push(`timestamp <= ${param(to)}`);
+      }
+
+      const { rows } = await pool.query(
+        `
+          SELECT ${MODERATED_POST_COLUMNS}
+          FROM posts
+          ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+          ORDER BY ${queueOnly ? "hidden_at IS NULL, report_count DESC," : ""}
+            timestamp DESC
+          LIMIT ${param(limit)}
+        `,
+        params,
+      );
+
+      return rows.map((row) => ({
+        ...normalizeRow(row),
+        hiddenAt: row.hidden_at != null ? Number(row.hidden_at) : null,
+        reportCount: Number(row.report_count) || 0,
+        reportReasons: row.report_reasons || {},
+      }));
+    },
+
+    async restorePost(id, context) {
+      return withTransaction(async (client) => {
+        const { rowCount } = await client.query(
+          "UPDATE posts SET hidden_at = NULL WHERE id = $1",
+          [id],
+        );
+        if (rowCount === 0) {
+          return false;
+        }
+        await client.query("DELETE FROM reports WHERE post_id = $1", [id]);
+        await logModerationAction(client, "restore", id, context);
+        return true;
+      });
+    },
+
+    async moderatorDeletePost(id, context) {
+      return withTransaction(async (client) => {
+        const { rows } = await client.query(
+          "DELETE FROM posts WHERE id = $1 RETURNING text, mood, lat, lng",
+          [id],
+        );
+        if (rows.length === 0) {
+          return false;
+        }
+        // Keep what was removed, since the post itself is gone.
+        await logModerationAction(client, "delete", id, {
+          ...context,
+          post: rows[0],
+        });
+        return true;
+      });
+    },
+
+    async banPostAuthor({ postId, target, reason, context }) {
+      return withTransaction(async (client) => {
+        const { rows: posts } = await client.query(
+          "SELECT device_id, author_token_hash FROM posts WHERE id = $1",
+          [postId],
+        );
+        const value =
+          target === "device"
+            ? posts[0]?.device_id
+            : posts[0]?.author_token_hash;
+        if (!value) {
+          return null;
+        }
+
+        const { rows } = await client.query(
+          `
+            INSERT INTO bans (target, value, post_id, reason, timestamp)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (target, value)
+              DO UPDATE SET reason = EXCLUDED.reason, post_id = EXCLUDED.post_id
+            RETURNING id, target, post_id, reason, timestamp
+          `,
+          [target, value, postId, reason, Date.now()],
+        );
+        await logModerationAction(client, "ban", postId, {
+          ...context,
+          target,
+          banId: rows[0].id,
+          reason,
+        });
+        return normalizeBanRow(rows[0]);
+      });
+    },
+
+    async liftBan(id, context) {
+      return withTransaction(async (client) => {
+        const { rows } = await client.query(
+          "DELETE FROM bans WHERE id = $1 RETURNING target, post_id",
+          [id],
+        );
+        if (rows.length === 0) {
+          return false;
+        }
+        await logModerationAction(client, "unban", rows[0].post_id, {
+          ...context,
+          target: rows[0].target,
+          banId: id,
+        });
+        return true;
+      });
+    },
+
+    async fetchBans() {
+      const { rows } = await pool.query(
+        `
+          SELECT id, target, post_id, reason, timestamp
+          FROM bans
+          ORDER BY timestamp DESC
+        `,
+      );
+      return rows.map(normalizeBanRow);
+    },
+
+    async isBanned(target, value) {
+      if (!value) return false;
+      const { rows } = await pool.query(
+        "SELECT 1 FROM bans WHERE target = $1 AND value = $2",
+        [target, value],
+      );
+      return rows.length > 0;
+    },
+
+    async fetchAuditLog(limit) {
+      const { rows } = await pool.query(
+        `
+          SELECT id, action, post_id, details, timestamp
+          FROM moderation_log
+          ORDER BY id DESC
+          LIMIT $1
+        `,
+        [limit],
+      );
+      return rows.map((row) => ({
+        id: Number(row.id),
+        action: row.action,
+        postId: row.post_id,
+        details: row.details || {},
+        timestamp: Number(row.timestamp),
+      }));
+    },
+
+    async fetchNgWords() {
+      const { rows } = await pool.query(
+        "SELECT word, normalized, timestamp FROM ng_words ORDER BY word",
+      );
+      return rows.map((row) => ({
+        word: row.word,
+        normalized: row.normalized,
+        timestamp: Number(row.timestamp),
+      }));
+    },
+
+    async addNgWord({ word, normalized, timestamp }, context) {
+      await withTransaction(async (client) => {
+        await client.query(
+          `
+            INSERT INTO ng_words (word, normalized, timestamp)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (word) DO NOTHING
+          `,
+          [word, normalized, timestamp],
+        );
+        await logModerationAction(client, "ng_word_add", null, {
+          ...context,
+          word,
+        });
+      });
+    },
+
+    async removeNgWord(word, context) {
+      return withTransaction(async (client) => {
+        const { rowCount } = await client.query(
+          "DELETE FROM ng_words WHERE word = $1",
+          [word],
+        );
+        if (rowCount === 0) {
+          return false;
+        }
+        await logModerationAction(client, "ng_word_remove", null, {
+          ...context,
+          word,
+        });
+        return true;
+      });
+    },
+
+    async recordRateLimitHit(bucket, windowStart, windowMs) {
+      const { rows } = await pool.query(
+        `
+          INSERT INTO rate_limits (bucket, window_start, expires_at, hits)
+          VALUES ($1, $2, $3, 1)
+          ON CONFLICT (bucket) DO UPDATE SET
+            hits = CASE
+              WHEN rate_limits.window_start = EXCLUDED.window_start
+                THEN rate_limits.hits + 1
+              ELSE 1
+            END,
+            window_start = EXCLUDED.window_start,
+            expires_at = EXCLUDED.expires_at
+          RETURNING hits
+        `,
+        [bucket, windowStart, windowStart + windowMs],
+      );
+      return rows[0].hits;
+    },
+
+    async purgeRateLimits(now) {
+      const result = await pool.query(
+        "DELETE FROM rate_limits WHERE expires_at < $1",
+        [now],
+      );
+      return result.rowCount;
+    },
+
+    async publishEvent(type, data) {
+      await pool.query(
+        "SELECT pg_notify($1, payload) FROM unnest($2::text[]) AS payload",
+        [
+          POST_EVENTS_CHANNEL,
+          splitEvent(type, data).map((event) => JSON.stringify(event)),
+        ],
+      );
+    },
+
+    subscribe(handler) {
+      return listen(handler);
+    },
+
+    async close() {
+      closed = true;
+      listeners.forEach((client) => client.release(true));
+      listeners.clear();
+      await pool.end();
+    },
+  };
+}
+
+/**
+ * Splits an event into ones small enough for a NOTIFY payload. Only
+ * `expired` events grow with the data, one id per purged post.
+ */
+function splitEvent(type, data) {
+  if (type !== "expired") return [{ type, data }];
+  const events = [];
+  for (let i = 0; i < data.ids.length; i += EXPIRED_IDS_PER_EVENT) {
+    events.push({
+      type,
+      data: { ...data, ids: data.ids.slice(i, i + EXPIRED_IDS_PER_EVENT) },
+    });
+  }
+  return events;
+}
+
+function likedBySql(deviceParam) {
+  return `EXISTS (
+    SELECT 1 FROM likes
+    WHERE likes.post_id = posts.id AND likes.device_id = ${deviceParam}
+  )`;
+}
+
+function hasTagSql(tagParam) {
+  return `EXISTS (
+    SELECT 1 FROM post_tags
+    WHERE post_tags.post_id = posts.id AND post_tags.tag = ${tagParam}
+  )`;
+}
+
+/**
+ * Conditions selecting live posts, within an area when `bounds` is given.
+ * The bounding box lets PostgreSQL use posts_lat_lng_idx; with a center,
+ * `outerConditions` then trims the box corners to the circle using the
+ * `distance` column that `distanceSql` computes.
+ */
+function liveAreaSql(param, { bounds, center, radiusMeters }) {
+  const conditions = [`expires_at > ${param(Date.now())}`, "hidden_at IS NULL"];
+  if (bounds) {
+    conditions.push(
+      `lat BETWEEN ${param(bounds.minLat)} AND ${param(bounds.maxLat)}`,
+      `lng BETWEEN ${param(bounds.minLng)} AND ${param(bounds.maxLng)}`,
+    );
+  }
+  return {
+    distanceSql: center
+      ? haversineSql(param(center.lat), param(center.lng))
+      : "NULL::double precision",
+    conditions,
+    outerConditions: center ? [`distance <= ${param(radiusMeters)}`] : [],
+  };
+}
+
+/**
+ * Keeps the rows that come after `cursor` in `order`, ties on the ranked
+ * column going to the newest.
+ */
+function afterCursorSql(param, { column, direction }, cursor) {
+  const olderSql = `(timestamp, id) < (${param(cursor.timestamp)}, ${param(cursor.id)}::uuid)`;
+  if (!column) return olderSql;
+  const value = `${param(cursor.value)}::double precision`;
+  const beyond = direction === "DESC" ? "<" : ">";
+  return `(${column} ${beyond} ${value} OR (${column} = ${value} AND ${olderSql}))`;
+}
+
+function trendingScoreSql(param, { gravity, ageOffsetHours, rankedAt }) {
+  const ageHours = `greatest(${param(rankedAt)}::bigint - timestamp, 0) / 3600000.0`;
+  return `(likes + 1) / power(${ageHours} + ${param(ageOffsetHours)}::double precision,
+    ${param(gravity)}::double precision)`;
+}
+
+function haversineSql(latParam, lngParam) {
+  return `(2 * ${EARTH_RADIUS_METERS} * asin(least(1, sqrt(
+    power(sin(radians(lat - ${latParam}) / 2), 2) +
+    cos(radians(${latParam})) * cos(radians(lat)) *
+    power(sin(radians(lng - ${lngParam}) / 2), 2)
+  ))))`;
+}
+
+function normalizeRow(entry) {
+  const post = {
+    id: entry.id,
+    lat: Number(entry.lat),
+    lng: Number(entry.lng),
+    text: entry.text || "",
+    mood: entry.mood || null,
+    timestamp: Number(entry.timestamp),
+    expiresAt: Number(entry.expires_at),
+    likes: Math.max(Number(entry.likes) || 0, 0),
+    replyCount: Number(entry.reply_count) || 0,
+    likedByMe: entry.liked_by_me === true,
+    editedAt: entry.edited_at != null ? Number(entry.edited_at) : null,
+    hasImage: entry.has_image === true,
+    tags: entry.tags || [],
+  };
+
+  if (entry.distance != null) {
+    post.distance = Number(entry.distance);
+  }
+
+  return post;
+}
+
+function normalizeBanRow(entry) {
+  return {
+    id: Number(entry.id),
+    target: entry.target,
+    postId: entry.post_id,
+    reason: entry.reason,
+    timestamp: Number(entry.timestamp),
+  };
+}
+
+function normalizeReplyRow(entry) {
+  return {
+    id: entry.id,
+    postId: entry.post_id,
+    text: entry.text,
+    timestamp: Number(entry.timestamp),
+  };
+}
+
+module.exports = { createPostgresStore };
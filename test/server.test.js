@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("crypto");
+const { spawn } = require("child_process");
+const path = require("path");
+
+const SERVER_PATH = path.join(__dirname, "..", "server.js");
+const STARTUP_TIMEOUT_MS = 10000;
+
+/**
+ * Runs server.js on the in-memory store, on a port of its own, and
+ * resolves once it is listening.
+ */
+function startServer(env = {}) {
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      STORE: "memory",
+      PORT: String(port),
+      DEVICE_SECRET: "test-secret",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error("Server did not start in time"));
+    }, STARTUP_TIMEOUT_MS);
+    child.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("Server listening")) {
+        clearTimeout(timer);
+        resolve({ child, baseUrl: `http://localhost:${port}` });
+      }
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+}
+
+function createPost(baseUrl, body, headers = {}) {
+  return fetch(`${baseUrl}/api/posts`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ lat: 35.681, lng: 139.767, ...body }),
+  });
+}
+
+describe("server", () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => {
+    server?.child.kill();
+  });
+
+  describe("GET /p/:id", () => {
+    it("keeps replacement patterns in post text out of the page head", async () => {
+      const response = await createPost(server.baseUrl, {
+        text: "price $` ok $& $'",
+      });
+      assert.equal(response.status, 201);
+      const post = await response.json();
+
+      const page = await (await fetch(`${server.baseUrl}/p/${post.id}`)).text();
+
+      assert.equal(page.match(/<head>/g).length, 1);
+      assert.match(
+        page,
+        /<title>price \$` ok \$&amp; \$&#39; \| [^<]*<\/title>/,
+      );
+      assert.match(
+        page,
+        /<meta property="og:title" content="price \$` ok \$&amp; \$&#39;" \/>/,
+      );
+    });
+  });
+
+  describe("POST /api/posts", () => {
+    let limited;
+
+    before(async () => {
+      limited = await startServer({ POST_RATE_LIMIT_PER_DEVICE: "1" });
+    });
+
+    after(() => {
+      limited?.child.kill();
+    });
+
+    it("answers a retry with the post it created, without using up the quota", async () => {
+      const idempotencyKey = randomUUID();
+      const first = await createPost(
+        limited.baseUrl,
+        { text: "一度だけ" },
+        { "Idempotency-Key": idempotencyKey },
+      );
+      assert.equal(first.status, 201);
+      const created = await first.json();
+      const cookie = first.headers.get("set-cookie").split(";")[0];
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const retry = await createPost(
+          limited.baseUrl,
+          { text: "一度だけ" },
+          { "Idempotency-Key": idempotencyKey, Cookie: cookie },
+        );
+        assert.equal(retry.status, 200);
+        const repeated = await retry.json();
+        assert.equal(repeated.id, created.id);
+        assert.equal(repeated.authorToken, created.authorToken);
+      }
+
+      const another = await createPost(
+        limited.baseUrl,
+        { text: "二つ目" },
+        { "Idempotency-Key": randomUUID(), Cookie: cookie },
+      );
+      assert.equal(another.status, 429);
+    });
+  });
+});
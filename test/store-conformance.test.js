@@ -0,0 +1,633 @@
+const { describe, it, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { randomUUID } = require("crypto");
+const { createPool, resolveConnectionString } = require("../db");
+const { createMemoryStore } = require("../stores/memory");
+const { createPostgresStore } = require("../stores/postgres");
+
+const HOUR_MS = 60 * 60 * 1000;
+// Device ids are UUIDs, as the device cookie issues them.
+const DEVICE_A = randomUUID();
+const DEVICE_B = randomUUID();
+const DEVICE_C = randomUUID();
+const TOKYO = { lat: 35.681, lng: 139.767 };
+const WIDE_BOUNDS = { minLat: 35, maxLat: 36.5, minLng: 139, maxLng: 140.5 };
+const TRENDING_RANKING = { gravity: 1.5, ageOffsetHours: 2 };
+const SEARCH_RANKING = {
+  minRelevance: 0.5,
+  relevanceWeight: 0.7,
+  halfLifeMs: HOUR_MS,
+};
+// The value the server puts in a cursor for each sort order.
+const CURSOR_VALUES = {
+  newest: () => null,
+  likes: (post) => post.likes,
+  distance: (post) => post.distance,
+  trending: (post) => post.score,
+};
+
+/**
+ * Every store must behave the same, so each backend runs the same suite.
+ * PostgreSQL needs a database it may empty between tests, given by
+ * DATABASE_URL; without one its run is skipped.
+ */
+const BACKENDS = [
+  {
+    name: "memory",
+    async open() {
+      return {
+        create: createMemoryStore,
+        reset: async () => {},
+        close: async () => {},
+      };
+    },
+  },
+  {
+    name: "postgres",
+    skip: !process.env.DATABASE_URL && "DATABASE_URL is not set",
+    async open() {
+      const connectionString = resolveConnectionString();
+      const pool = createPool(connectionString);
+      const store = createPostgresStore(connectionString);
+      await store.initialize();
+      return {
+        create: () => store,
+        reset: () =>
+          pool.query(
+            "TRUNCATE posts, bans, moderation_log, rate_limits, ng_words CASCADE",
+          ),
+        close: async () => {
+          await store.close();
+          await pool.end();
+        },
+      };
+    },
+  },
+];
+
+function addPost(store, overrides = {}) {
+  const timestamp = overrides.timestamp ?? Date.now();
+  return store.createPost({
+    id: randomUUID(),
+    lat: TOKYO.lat,
+    lng: TOKYO.lng,
+    text: "テスト",
+    mood: null,
+    tags: [],
+    grams: [],
+    timestamp,
+    expiresAt: timestamp + 24 * HOUR_MS,
+    likes: 0,
+    authorTokenHash: `token-${randomUUID()}`,
+    deviceId: randomUUID(),
+    ...overrides,
+  });
+}
+
+function ids(posts) {
+  return posts.map((post) => post.id);
+}
+
+/**
+ * Resolves once `condition` holds, for events that arrive asynchronously.
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+BACKENDS.forEach((backend) => {
+  describe(`${backend.name} store`, { skip: backend.skip }, () => {
+    let backendHandle;
+    let store;
+
+    before(async () => {
+      backendHandle = await backend.open();
+    });
+
+    beforeEach(async () => {
+      await backendHandle.reset();
+      store = backendHandle.create();
+    });
+
+    after(async () => {
+      await backendHandle?.close();
+    });
+
+    describe("queryLivePosts", () => {
+      it("keeps posts within the radius, nearest carrying their distance", async () => {
+        const here = await addPost(store);
+        const near = await addPost(store, { lat: TOKYO.lat + 0.009 });
+        await addPost(store, { lat: TOKYO.lat + 0.09 });
+
+        const { posts, hasMore } = await store.queryLivePosts({
+          bounds: WIDE_BOUNDS,
+          center: TOKYO,
+          radiusMeters: 5000,
+          sort: "distance",
+          limit: 10,
+        });
+
+        assert.deepEqual(ids(posts), [here.id, near.id]);
+        assert.equal(hasMore, false);
+        assert.ok(posts[0].distance < 1);
+        assert.ok(Math.abs(posts[1].distance - 1000) < 10);
+      });
+
+      it("keeps posts within the bounding box", async () => {
+        const inside = await addPost(store);
+        await addPost(store, { lat: TOKYO.lat + 0.09 });
+        await addPost(store, { lng: TOKYO.lng - 0.2 });
+
+        const { posts } = await store.queryLivePosts({
+          bounds: { minLat: 35.6, maxLat: 35.7, minLng: 139.7, maxLng: 139.8 },
+          limit: 10,
+        });
+
+        assert.deepEqual(ids(posts), [inside.id]);
+        assert.equal(posts[0].distance, undefined);
+      });
+
+      it("leaves out expired and hidden posts", async () => {
+        const live = await addPost(store);
+        await addPost(store, { expiresAt: Date.now() - 1 });
+        const hidden = await addPost(store);
+        await store.reportPost(hidden.id, DEVICE_A, "spam", 1);
+
+        const { posts } = await store.queryLivePosts({
+          bounds: WIDE_BOUNDS,
+          limit: 10,
+        });
+
+        assert.deepEqual(ids(posts), [live.id]);
+      });
+
+      it("filters by tag", async () => {
+        const tagged = await addPost(store, { tags: ["花火", "夏"] });
+        await addPost(store, { tags: ["夏"] });
+        await addPost(store);
+
+        const { posts } = await store.queryLivePosts({
+          bounds: WIDE_BOUNDS,
+          tag: "花火",
+          limit: 10,
+        });
+
+        assert.deepEqual(ids(posts), [tagged.id]);
+        assert.deepEqual(posts[0].tags, ["花火", "夏"]);
+      });
+
+      it("filters by creation time, both ends inclusive", async () => {
+        const now = Date.now();
+        await addPost(store, { timestamp: now - 3 * HOUR_MS });
+        const first = await addPost(store, { timestamp: now - 2 * HOUR_MS });
+        const last = await addPost(store, { timestamp: now - HOUR_MS });
+        await addPost(store, { timestamp: now });
+
+        const { posts } = await store.queryLivePosts({
+          bounds: WIDE_BOUNDS,
+          from: now - 2 * HOUR_MS,
+          to: now - HOUR_MS,
+          limit: 10,
+        });
+
+        assert.deepEqual(ids(posts), [last.id, first.id]);
+      });
+
+      Object.keys(CURSOR_VALUES).forEach((sort) => {
+        it(`pages through every post once in ${sort} order`, async () => {
+          const now = Date.now();
+          const likes = [0, 2, 2, 5, 0, 1, 2];
+          for (let i = 0; i < likes.length; i++) {
+            await addPost(store, {
+              // Two posts share a timestamp and two a place, so ties are
+              // broken by the fallback order.
+              timestamp: now - Math.min(i, 5) * 10 * 60 * 1000,
+              lat: TOKYO.lat + Math.min(i, 3) * 0.001,
+              likes: likes[i],
+            });
+          }
+          const query = {
+            bounds: WIDE_BOUNDS,
+            center: TOKYO,
+            radiusMeters: 50000,
+            sort,
+            ranking: { ...TRENDING_RANKING, rankedAt: now },
+          };
+
+          const all = await store.queryLivePosts({ ...query, limit: 100 });
+          assert.equal(all.posts.length, likes.length);
+          all.posts.slice(1).forEach((post, index) => {
+            const previous = all.posts[index];
+            const value = CURSOR_VALUES[sort];
+            if (sort === "distance") {
+              assert.ok(value(previous) <= value(post));
+            } else if (sort !== "newest") {
+              assert.ok(value(previous) >= value(post));
+            }
+            if (sort === "newest" || value(previous) === value(post)) {
+              assert.ok(previous.timestamp >= post.timestamp);
+            }
+          });
+
+          const paged = [];
+          let cursor = null;
+          for (let page = 0; page < likes.length; page++) {
+            const result = await store.queryLivePosts({
+              ...query,
+              limit: 2,
+              cursor,
+            });
+            paged.push(...result.posts);
+            if (!result.hasMore) break;
+            const last = result.posts[result.posts.length - 1];
+            cursor = {
+              timestamp: last.timestamp,
+              id: last.id,
+              value: CURSOR_VALUES[sort](last),
+            };
+          }
+
+          assert.deepEqual(ids(paged), ids(all.posts));
+        });
+      });
+    });
+
+    describe("createPost", () => {
+      it("creates one post per device and idempotency key", async () => {
+        const key = randomUUID();
+        const post = await addPost(store, {
+          deviceId: DEVICE_A,
+          idempotencyKey: key,
+        });
+
+        const repeated = await addPost(store, {
+          deviceId: DEVICE_A,
+          idempotencyKey: key,
+        });
+        const otherDevice = await addPost(store, {
+          deviceId: DEVICE_B,
+          idempotencyKey: key,
+        });
+
+        assert.equal(repeated, null);
+        assert.notEqual(otherDevice, null);
+        assert.equal(
+          (await store.fetchPostByIdempotencyKey(DEVICE_A, key)).id,
+          post.id,
+        );
+        assert.equal(
+          await store.fetchPostByIdempotencyKey(DEVICE_C, key),
+          null,
+        );
+        const { posts } = await store.queryLivePosts({
+          bounds: WIDE_BOUNDS,
+          limit: 10,
+        });
+        assert.equal(posts.length, 2);
+      });
+
+      it("does not limit posts without a key", async () => {
+        await addPost(store, { deviceId: DEVICE_A });
+        assert.notEqual(await addPost(store, { deviceId: DEVICE_A }), null);
+      });
+    });
+
+    describe("likes", () => {
+      it("counts each device once and reports whether anything changed", async () => {
+        const post = await addPost(store);
+
+        const first = await store.likePost(post.id, DEVICE_A);
+        const again = await store.likePost(post.id, DEVICE_A);
+        await store.likePost(post.id, DEVICE_B);
+
+        assert.deepEqual(first, {
+          changed: true,
+          post: { id: post.id, likes: 1, lat: post.lat, lng: post.lng },
+        });
+        assert.equal(again.changed, false);
+        assert.equal(again.post.likes, 1);
+        assert.equal(
+          (await store.fetchLivePost(post.id, DEVICE_A)).likedByMe,
+          true,
+        );
+
+        const removed = await store.unlikePost(post.id, DEVICE_A);
+        const removedAgain = await store.unlikePost(post.id, DEVICE_A);
+
+        assert.equal(removed.changed, true);
+        assert.equal(removed.post.likes, 1);
+        assert.equal(removedAgain.changed, false);
+        assert.equal(removedAgain.post.likes, 1);
+        assert.equal(
+          (await store.fetchLivePost(post.id, DEVICE_A)).likedByMe,
+          false,
+        );
+      });
+
+      it("leaves likes on a hidden post alone", async () => {
+        const post = await addPost(store);
+        await store.likePost(post.id, DEVICE_A);
+        await store.reportPost(post.id, DEVICE_B, "spam", 1);
+
+        assert.equal(await store.unlikePost(post.id, DEVICE_A), null);
+
+        await store.restorePost(post.id, {});
+        const restored = await store.fetchLivePost(post.id, DEVICE_A);
+        assert.equal(restored.likes, 1);
+        assert.equal(restored.likedByMe, true);
+      });
+
+      it("resolves to null for a missing post", async () => {
+        assert.equal(await store.likePost(randomUUID(), DEVICE_A), null);
+        assert.equal(await store.unlikePost(randomUUID(), DEVICE_A), null);
+      });
+    });
+
+    describe("reports", () => {
+      it("hides a post once enough devices report it", async () => {
+        const post = await addPost(store);
+
+        assert.deepEqual(await store.reportPost(post.id, DEVICE_A, "spam", 2), {
+          hidden: false,
+        });
+        assert.deepEqual(await store.reportPost(post.id, DEVICE_A, "spam", 2), {
+          hidden: false,
+        });
+        assert.deepEqual(
+          await store.reportPost(post.id, DEVICE_B, "other", 2),
+          { hidden: true },
+        );
+
+        assert.equal(await store.fetchLivePost(post.id, null), null);
+        assert.equal(
+          await store.reportPost(post.id, DEVICE_C, "spam", 2),
+          null,
+        );
+        const [moderated] = await store.fetchModeratedPosts({
+          queueOnly: true,
+          limit: 10,
+        });
+        assert.equal(moderated.id, post.id);
+        assert.notEqual(moderated.hiddenAt, null);
+        assert.equal(moderated.reportCount, 2);
+        assert.deepEqual(moderated.reportReasons, { spam: 1, other: 1 });
+      });
+
+      it("makes a restored post live again with its reports cleared", async () => {
+        const post = await addPost(store);
+        await store.reportPost(post.id, DEVICE_A, "spam", 1);
+
+        assert.equal(await store.restorePost(post.id, {}), true);
+
+        assert.equal((await store.fetchLivePost(post.id, null)).id, post.id);
+        assert.deepEqual(
+          await store.fetchModeratedPosts({ queueOnly: true, limit: 10 }),
+          [],
+        );
+        assert.equal(await store.restorePost(randomUUID(), {}), false);
+      });
+    });
+
+    describe("purgeExpiredPosts", () => {
+      it("deletes expired posts but keeps hidden ones for review", async () => {
+        const now = Date.now();
+        const expiring = await addPost(store, { expiresAt: now + HOUR_MS });
+        const hidden = await addPost(store, { expiresAt: now + HOUR_MS });
+        const live = await addPost(store, { expiresAt: now + 3 * HOUR_MS });
+        await store.reportPost(hidden.id, DEVICE_A, "spam", 1);
+
+        const purged = await store.purgeExpiredPosts(now + 2 * HOUR_MS);
+
+        assert.deepEqual(purged, [expiring.id]);
+        const remaining = await store.fetchModeratedPosts({ limit: 10 });
+        assert.deepEqual(ids(remaining).sort(), [hidden.id, live.id].sort());
+      });
+
+      it("deletes the replies of purged posts", async () => {
+        const now = Date.now();
+        const post = await addPost(store, { expiresAt: now + HOUR_MS });
+        await store.createReply({
+          id: randomUUID(),
+          postId: post.id,
+          text: "返信",
+          timestamp: now,
+        });
+
+        await store.purgeExpiredPosts(now + 2 * HOUR_MS);
+
+        assert.equal(await store.fetchReplies(post.id, 10), null);
+        // A post reusing the id starts without the old thread.
+        await addPost(store, { id: post.id });
+        assert.deepEqual(await store.fetchReplies(post.id, 10), []);
+        assert.equal((await store.fetchLivePost(post.id, null)).replyCount, 0);
+      });
+    });
+
+    describe("events", () => {
+      it("delivers published events to subscribers", async () => {
+        const received = [];
+        await store.subscribe((type, data) => received.push({ type, data }));
+
+        await store.publishEvent("liked", { id: "a", likes: 1 });
+
+        await waitFor(() => received.length === 1);
+        assert.deepEqual(received, [
+          { type: "liked", data: { id: "a", likes: 1 } },
+        ]);
+      });
+
+      it("delivers every id of a large purge", async () => {
+        const now = Date.now();
+        for (let i = 0; i < 250; i++) {
+          await addPost(store, { expiresAt: now + HOUR_MS });
+        }
+        const received = [];
+        await store.subscribe((type, data) => {
+          if (type === "expired") received.push(...data.ids);
+        });
+
+        const purged = await store.purgeExpiredPosts(now + 2 * HOUR_MS);
+        await store.publishEvent("expired", { ids: purged });
+
+        assert.equal(purged.length, 250);
+        await waitFor(() => received.length >= purged.length);
+        assert.deepEqual([...received].sort(), [...purged].sort());
+      });
+    });
+
+    describe("fetchClusters", () => {
+      it("gives each cell its most common mood, ties going to the smallest", async () => {
+        const far = { lat: TOKYO.lat + 0.3 };
+        await addPost(store, { mood: "😊" });
+        await addPost(store, { mood: "😀" });
+        await addPost(store, { ...far, mood: "😊" });
+        await addPost(store, { ...far, mood: "😀" });
+        await addPost(store, { ...far, mood: "😊" });
+        await addPost(store, { ...far, mood: null });
+
+        const clusters = await store.fetchClusters({
+          bounds: WIDE_BOUNDS,
+          cellDegrees: 0.1,
+          limit: 10,
+        });
+
+        assert.deepEqual(
+          clusters.map(({ count, mood }) => ({ count, mood })),
+          [
+            { count: 4, mood: "😊" },
+            { count: 2, mood: "😀" },
+          ],
+        );
+      });
+
+      it("breaks mood ties by code point, also past the BMP", async () => {
+        // U+FE0F sorts before U+1F3FB by code point but after its
+        // surrogates by UTF-16 code unit.
+        await addPost(store, { mood: "👍🏻" });
+        await addPost(store, { mood: "👍️" });
+
+        const [cluster] = await store.fetchClusters({
+          bounds: WIDE_BOUNDS,
+          cellDegrees: 0.1,
+          limit: 10,
+        });
+
+        assert.equal(cluster.mood, "👍️");
+      });
+    });
+
+    describe("searchPosts", () => {
+      it("ranks by relevance weighted against freshness", async () => {
+        const now = Date.now();
+        const exact = await addPost(store, {
+          grams: ["花火", "火大", "大会"],
+          timestamp: now - HOUR_MS,
+        });
+        const fresh = await addPost(store, { grams: ["花火"], timestamp: now });
+        const stale = await addPost(store, {
+          grams: ["火大"],
+          timestamp: now - 2 * HOUR_MS,
+        });
+        await addPost(store, { grams: ["夏祭"], timestamp: now });
+
+        const results = await store.searchPosts({
+          grams: ["花火", "火大"],
+          bounds: WIDE_BOUNDS,
+          ranking: SEARCH_RANKING,
+          limit: 10,
+        });
+
+        assert.deepEqual(ids(results), [exact.id, fresh.id, stale.id]);
+        assert.deepEqual(
+          results.map((post) => post.relevance),
+          [1, 0.5, 0.5],
+        );
+
+        const strict = await store.searchPosts({
+          grams: ["花火", "火大"],
+          ranking: { ...SEARCH_RANKING, minRelevance: 0.75 },
+          limit: 10,
+        });
+        assert.deepEqual(ids(strict), [exact.id]);
+      });
+    });
+
+    describe("bans", () => {
+      it("bans a post's device or token until the ban is lifted", async () => {
+        const post = await addPost(store, {
+          deviceId: DEVICE_A,
+          authorTokenHash: "token-a",
+        });
+
+        const ban = await store.banPostAuthor({
+          postId: post.id,
+          target: "device",
+          reason: "spam",
+          context: {},
+        });
+        const again = await store.banPostAuthor({
+          postId: post.id,
+          target: "device",
+          reason: "harassment",
+          context: {},
+        });
+
+        assert.equal(again.id, ban.id);
+        assert.equal(again.reason, "harassment");
+        assert.equal(await store.isBanned("device", DEVICE_A), true);
+        assert.equal(await store.isBanned("author", "token-a"), false);
+        assert.deepEqual(
+          (await store.fetchBans()).map(({ id }) => id),
+          [ban.id],
+        );
+
+        assert.equal(await store.liftBan(ban.id, {}), true);
+        assert.equal(await store.liftBan(ban.id, {}), false);
+        assert.equal(await store.isBanned("device", DEVICE_A), false);
+        assert.deepEqual(
+          (await store.fetchAuditLog(10)).map(({ action }) => action),
+          ["unban", "ban", "ban"],
+        );
+      });
+
+      it("resolves to null for a missing post", async () => {
+        const ban = await store.banPostAuthor({
+          postId: randomUUID(),
+          target: "device",
+          reason: "spam",
+          context: {},
+        });
+        assert.equal(ban, null);
+      });
+    });
+
+    describe("NG words", () => {
+      it("adds each word once and removes it", async () => {
+        const now = Date.now();
+        await store.addNgWord(
+          { word: "foo", normalized: "foo", timestamp: now },
+          {},
+        );
+        await store.addNgWord(
+          { word: "bar", normalized: "bar", timestamp: now },
+          {},
+        );
+        await store.addNgWord(
+          { word: "foo", normalized: "foo", timestamp: now },
+          {},
+        );
+
+        assert.deepEqual(
+          (await store.fetchNgWords()).map(({ word }) => word),
+          ["bar", "foo"],
+        );
+        assert.equal(await store.removeNgWord("foo", {}), true);
+        assert.equal(await store.removeNgWord("foo", {}), false);
+        assert.deepEqual(
+          (await store.fetchNgWords()).map(({ word }) => word),
+          ["bar"],
+        );
+      });
+    });
+
+    describe("recordRateLimitHit", () => {
+      it("counts hits per bucket and restarts with each window", async () => {
+        assert.equal(await store.recordRateLimitHit("ip:a", 0, 1000), 1);
+        assert.equal(await store.recordRateLimitHit("ip:a", 0, 1000), 2);
+        assert.equal(await store.recordRateLimitHit("ip:b", 0, 1000), 1);
+        assert.equal(await store.recordRateLimitHit("ip:a", 1000, 1000), 1);
+        assert.equal(await store.recordRateLimitHit("ip:a", 1000, 1000), 2);
+
+        assert.equal(await store.purgeRateLimits(1500), 1);
+        assert.equal(await store.recordRateLimitHit("ip:b", 1000, 1000), 1);
+        assert.equal(await store.purgeRateLimits(2500), 2);
+      });
+    });
+  });
+});